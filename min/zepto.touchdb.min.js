@@ -1,15 +1,2 @@
-(function(f){function l(c){var d=c.split("/");return"_design"==d[0]?(d.shift(),"_design/"+encodeURIComponent(d.join("/"))):encodeURIComponent(c)}function e(c,d,e,a){var b,d=f.extend({successStatus:200},d),a=f.extend({contentType:"application/json",headers:{Accept:"application/json"}},a),e=e||"Unknown error";b=(new Date).getTime();f.ajax(f.extend(f.extend({type:"GET",dataType:"json",beforeSend:function(b){if(a&&a.headers)for(var h in a.headers)b.setRequestHeader(h,a.headers[h])},complete:function(a){var h=
-(new Date).getTime()-b;try{var c=JSON.parse(a.responseText)}catch(f){if(d.error)d.error(a.status,a,f);else throw e+": "+f;return}d.ajaxStart&&d.ajaxStart(c);if(a.status==d.successStatus)d.beforeSuccess&&d.beforeSuccess(a,c,h),d.success&&d.success(c,h);else if(d.error)d.error(a.status,c&&c.error||e,c&&c.reason||"no response",h);else throw e+": "+c.reason;}},c),a))}function p(c){c=c||{};if("undefined"!==typeof c.ensure_full_commit){var d=c.ensure_full_commit;delete c.ensure_full_commit;return function(c){c.setRequestHeader("Accept",
-"application/json");c.setRequestHeader("X-Couch-Full-Commit",d.toString())}}}function g(c){var d=[];if("object"===typeof c&&null!==c)for(var e in c)if(!(0<=f.inArray(e,["error","success","beforeSuccess","ajaxStart"]))){var a=c[e];0<=f.inArray(e,["key","startkey","endkey"])&&(a=j(a));d.push(encodeURIComponent(e)+"="+encodeURIComponent(a))}return d.length?"?"+d.join("&"):""}function j(c){return null!==c?JSON.stringify(c):null}f.couch=f.couch||{};var n=[];f.extend(f.couch,{urlPrefix:"http://localhost.touchdb.",
-activeTasks:function(c){e({url:this.urlPrefix+"/_active_tasks"},c,"Active task status could not be retrieved")},allDbs:function(c){e({url:this.urlPrefix+"/_all_dbs"},c,"An error occurred retrieving the list of all databases")},db:function(c,d){var d=d||{},m={};return{name:c,uri:this.urlPrefix+"/"+encodeURIComponent(c)+"/",compact:function(a){f.extend(a,{successStatus:202});e({type:"POST",url:this.uri+"_compact",data:"",processData:!1},a,"The database could not be compacted")},viewCleanup:function(a){f.extend(a,
-{successStatus:202});e({type:"POST",url:this.uri+"_view_cleanup",data:"",processData:!1},a,"The views could not be cleaned up")},compactView:function(a,b){f.extend(b,{successStatus:202});e({type:"POST",url:this.uri+"_compact/"+a,data:"",processData:!1},b,"The view could not be compacted")},create:function(a){f.extend(a,{successStatus:201});e({type:"PUT",url:this.uri,contentType:"application/json",data:"",processData:!1},a,"The database could not be created")},drop:function(a){e({type:"DELETE",url:this.uri},
-a,"The database could not be deleted")},info:function(a){e({url:this.uri},a,"Database information could not be retrieved")},changes:function(a,b){function c(){var h=f.extend({heartbeat:1E4},b,{feed:"longpoll",since:a});e({url:d.uri+"_changes"+g(h)},b,"Error connecting to "+d.uri+"/_changes.")}var b=b||{},h=100,d=this,i=!0,k=[];b.success=function(b){h=100;i&&(a=b.last_seq,f.each(k,function(){this(b)}),c())};b.error=function(){i&&(setTimeout(c,h),h*=2)};a?c():d.info({success:function(b){a=b.update_seq;
-c()}});return{onChange:function(a){k.push(a)},stop:function(){i=!1}}},allDocs:function(a){var b="GET",c=null;a.keys&&(b="POST",c=a.keys,delete a.keys,c=j({keys:c}));e({type:b,data:c,url:this.uri+"_all_docs"+g(a)},a,"An error occurred retrieving a list of all documents")},allDesignDocs:function(a){this.allDocs(f.extend({startkey:"_design",endkey:"_design0"},a))},allApps:function(a){var a=a||{},b=this;if(a.eachApp)this.allDesignDocs({success:function(d){f.each(d.rows,function(){b.openDoc(this.id,{success:function(b){var d,
-e,f=b._id.split("/");f.shift();f=f.join("/");(d=b.couchapp&&b.couchapp.index)?e=["",c,b._id,d].join("/"):b._attachments&&b._attachments["index.html"]&&(e=["",c,b._id,"index.html"].join("/"));e&&a.eachApp(f,e,b)}})})}});else throw"Please provide an eachApp function for allApps()";},openDoc:function(a,b,c){b=b||{};d.attachPrevRev||b.attachPrevRev?f.extend(b,{beforeSuccess:function(a,b){m[b._id]={rev:b._rev,raw:a.responseText}}}):f.extend(b,{beforeSuccess:function(a,b){b["zepto.couch.attachPrevRev"]&&
-(m[b._id]={rev:b._rev,raw:a.responseText})}});e({url:this.uri+l(a)+g(b)},b,"The document could not be retrieved",c)},saveDoc:function(a,b){var b=b||{},c=this,d=p(b);if(void 0===a._id)var e="POST",i=this.uri;else e="PUT",i=this.uri+l(a._id);var k;if(a._id&&a._rev&&m[a._id]&&m[a._id].rev==a._rev){if("undefined"==typeof Base64)throw"Base64 support not found.";a._attachments=a._attachments||{};a._attachments["rev-"+a._rev.split("-")[0]]={content_type:"application/json",data:Base64.encode(m[a._id].raw)};
-k=!0}else k=void 0;f.ajax({type:e,url:i+g(b),contentType:"application/json",dataType:"json",data:j(a),beforeSend:d,complete:function(d){var e=JSON.parse(d.responseText);if(200==d.status||201==d.status||202==d.status)a._id=e.id,a._rev=e.rev,k?c.openDoc(a._id,{attachPrevRev:!0,success:function(c){a._attachments=c._attachments;b.success&&b.success(e)}}):b.success&&b.success(e);else if(b.error)b.error(d.status,e.error,e.reason);else throw"The document could not be saved: "+e.reason;}})},bulkSave:function(a,
-b){var c=p(b);f.extend(b,{successStatus:201,beforeSend:c});e({type:"POST",url:this.uri+"_bulk_docs"+g(b),contentType:"application/json",data:j(a)},b,"The documents could not be saved")},removeDoc:function(a,b){e({type:"DELETE",url:this.uri+l(a._id)+g({rev:a._rev})},b,"The document could not be deleted")},bulkRemove:function(a,b){a.docs=f.each(a.docs,function(a,b){b._deleted=!0});f.extend(b,{successStatus:201});e({type:"POST",url:this.uri+"_bulk_docs"+g(b),data:j(a)},b,"The documents could not be deleted")},
-copyDoc:function(a,b,c){c=f.extend(c,{complete:function(a){var c=JSON.parse(a.responseText);if(201==a.status)b.success&&b.success(c);else if(b.error)b.error(a.status,c.error,c.reason);else throw"The document could not be copied: "+c.reason;}});e({type:"COPY",url:this.uri+l(a)},b,"The document could not be copied",c)},query:function(a,b,c,d){c=c||"javascript";"string"!==typeof a&&(a=a.toSource?a.toSource():"("+a.toString()+")");a={language:c,map:a};null!=b&&("string"!==typeof b&&(b=b.toSource?b.toSource():
-"("+b.toString()+")"),a.reduce=b);e({type:"POST",url:this.uri+"_temp_view"+g(d),contentType:"application/json",data:j(a)},d,"An error occurred querying the database")},list:function(a,b,c,d){var a=a.split("/"),c=c||{},f="GET",i=null;c.keys&&(f="POST",i=c.keys,delete c.keys,i=j({keys:i}));e({type:f,data:i,url:this.uri+"_design/"+a[0]+"/_list/"+a[1]+"/"+b+g(c)},d,"An error occured accessing the list")},view:function(a,b){var a=a.split("/"),b=b||{},c="GET",d=null;b.keys&&(c="POST",d=b.keys,delete b.keys,
-d=j({keys:d}));e({type:c,data:d,url:this.uri+"_design/"+a[0]+"/_view/"+a[1]+g(b)},b,"An error occurred accessing the view")},getDbProperty:function(a,b,c){e({url:this.uri+a+g(b)},b,"The property could not be retrieved",c)},setDbProperty:function(a,b,c,d){e({type:"PUT",url:this.uri+a+g(c),data:JSON.stringify(b)},c,"The property could not be updated",d)}}},encodeDocId:l,info:function(c){e({url:this.urlPrefix+"/"},c,"Server information could not be retrieved")},replicate:function(c,d,g,a){a=f.extend({source:c,
-target:d},a);a.continuous&&!a.cancel&&(g.successStatus=202);e({type:"POST",url:this.urlPrefix+"/_replicate",data:JSON.stringify(a),contentType:"application/json"},g,"Replication failed")},newUUID:function(c){void 0===c&&(c=1);n.length||e({url:this.urlPrefix+"/_uuids",data:{count:c},async:!1},{success:function(c){n=c.uuids}},"Failed to retrieve UUID batch.");return n.shift()}})})(Zepto);
\ No newline at end of file
+!function(e){function t(e){var t=e.split("/");if("_design"==t[0]||"_local"==t[0]){return t.shift()+"/"+encodeURIComponent(t.join("/"))}return encodeURIComponent(e)}function n(e,t,n,r){r=r||{},this.status=e,this.error=t,this.reason=n,this.message=t+": "+n,this.method=r.method,this.url=r.url,this.duration=r.duration,this.response=r.response,this.xhr=r.xhr,Error.captureStackTrace?Error.captureStackTrace(this,this.constructor):this.stack=new Error(this.message).stack}function r(e,t){function n(){}n.prototype=t.prototype;var r=function(){t.apply(this,arguments)};return r.prototype=new n,r.prototype.constructor=r,r.prototype.name=e,r}function o(e,t,r,o){return new({0:F,401:M,403:H,404:G,409:B}[e]||n)(e,t,r,o)}function i(e,t){return(t?t.uri:"_local/")+"zepto.couch.changes."+e}function u(t){return t&&"object"==typeof t?t:e.couch.checkpointStores[t||"local"]}function s(e){if(!(e instanceof G))throw e}function c(t,n,r,i){function u(e){n.error&&n.error(e.status,e.error,e.reason,e.duration,e),c.reject(e)}var s,c=p(n),a={contentType:"application/json",headers:{Accept:"application/json"}};return n=e.extend({successStatus:200},n),i=e.extend(a,i,{headers:e.extend({},a.headers,i&&i.headers)}),r=r||"Unknown error",s=(new Date).getTime(),e.ajax(e.extend(e.extend({type:"GET",dataType:"json",complete:function(i){var a,l=(new Date).getTime()-s,d={method:t.type||"GET",url:t.url,duration:l,response:i.responseText,xhr:i},f=i.getResponseHeader("Content-Type")||"";try{var h=n.textResponse&&!/json/.test(f)?i.responseText:JSON.parse(i.responseText)}catch(e){return a=i.status?o(i.status,r,String(e),d):o(0,"network_error","The server could not be reached",d),void u(a)}d.response=h,n.ajaxStart&&n.ajaxStart(h),e.inArray(i.status,[].concat(n.successStatus))>=0?(n.beforeSuccess&&n.beforeSuccess(i,h,l),n.success&&n.success(h,l),c.resolve(h)):u(o(i.status,h&&h.error||r,h&&h.reason||"no response",d))}},t),i)),c.promise}function a(e,t){var n=p(e);return e.error&&e.error(t.status,t.error,t.reason,t.duration,t),n.reject(t),n.promise}function l(t){return new V(function(n,r){var o=[],i=t.length;i||n(o),e.each(t,function(e,t){t.then(function(t){o[e]=t,0==--i&&n(o)},r)})})}function d(t,n){var r=Array.prototype.slice.call(arguments,2);e.each(n,function(){this.apply(t,r)})}function f(e){return new V(function(t){t(e)})}function h(){var e,t=[],n=window.crypto||window.msCrypto,r="";if(n&&n.getRandomValues)t=n.getRandomValues(new Uint8Array(16));else for(e=0;e<16;e++)t.push(Math.floor(256*Math.random()));for(t[6]=15&t[6]|64,t[8]=63&t[8]|128,e=0;e<16;e++)r+=(t[e]+256).toString(16).slice(1);return r}function p(e){var t={};return t.promise=new V(function(e,n){t.resolve=e,t.reject=n}),e&&e.error&&t.promise.then(null,function(){}),t}function v(e,t){var n=p(t);return e.then(function(e){t.success&&t.success(e),n.resolve(e)},function(e){t.error&&t.error(e.status,e.error,e.reason,e.duration,e),n.reject(e)}),n.promise}function _(e){function t(){var e=u;u=[];for(var t=0;t<e.length;t++)e[t]()}function n(e,n){i||(i=e,o=n,setTimeout(t,0))}function r(e){var t,o=!1;if(!i){if(null!==e&&("object"==typeof e||"function"==typeof e)){try{t=e.then}catch(e){return n(2,e)}if("function"==typeof t){try{t.call(e,function(e){o||(o=!0,r(e))},function(e){o||(o=!0,n(2,e))})}catch(e){o||(o=!0,n(2,e))}return}}n(1,e)}}var o,i=0,u=[];this.then=function(e,n){return new _(function(r,s){u.push(function(){var t=1==i?e:n;if("function"!=typeof t)return(1==i?r:s)(o);try{r(t(o))}catch(e){s(e)}}),i&&setTimeout(t,0)})};try{e(r,function(e){n(2,e)})}catch(e){n(2,e)}}function g(e,t,n,r,i){var u=(new Date).getTime();return new V(function(s,c){var a=new XMLHttpRequest,l=N(e,{Accept:i});a.onreadystatechange=function(){if(2==a.readyState&&200==a.status&&"text"!=r&&(a.responseType=r),4==a.readyState){if(200==a.status)return s(a);var e,i={method:"GET",url:t,xhr:a,duration:(new Date).getTime()-u},l={};try{i.response=l=JSON.parse(a.responseText)}catch(e){}e=a.status?o(a.status,l.error||n,l.reason||"no response",i):o(0,"network_error","The server could not be reached",i),c(e)}},a.open("GET",t,!0);for(var d in l)a.setRequestHeader(d,l[d]);a.send(null)})}function y(e){var t,n=[];for(var r in e._attachments||{})(t=/^rev-(\d+)$/.exec(r))&&n.push(parseInt(t[1],10));return n.sort(function(e,t){return t-e})}function m(e){var t,n,r,o="",i=[2166136261,84696351];for(r=0;r<i.length;r++){for(t=i[r],n=0;n<e.length;n++)t^=e.charCodeAt(n),t+=(t<<1)+(t<<4)+(t<<7)+(t<<8)+(t<<24);o+=(4294967296+(t>>>0)).toString(16).slice(1)}return o}function w(e){return e.toSource?e.toSource():"("+e.toString()+")"}function b(t){var n,r,o=void 0!==t.startkey||void 0!==t.endkey,i=t.group||void 0!==t.group_level;if(void 0!==t.key&&(t.keys||o))return"key can't be combined with keys or a key range";if(t.keys&&(!e.isArray(t.keys)||o))return"keys must be an array, and can't be combined with a key range";if(i&&!1===t.reduce)return"group and group_level can't be used without reduce";if(t.include_docs&&(i||!0===t.reduce))return"include_docs is invalid for reduce";for(n=0;n<3;n++)if(r=["limit","skip","group_level"][n],void 0!==t[r]&&!(t[r]>=0&&t[r]%1==0))return r+" must be a whole number, 0 or more";return void 0!==t.stale&&e.inArray(t.stale,["ok","update_after"])<0?'stale must be "ok" or "update_after"':void 0}function T(t,n){if(null===n||"object"!=typeof n||e.isArray(n))return n;(null===t||"object"!=typeof t||e.isArray(t))&&(t={});for(var r in n)null===n[r]?delete t[r]:t[r]=T(t[r],n[r]);return t}function x(t,n){function r(e){throw o(400,"bad_request",e)}function i(e){return void 0===e?e:JSON.parse(J(e))}function u(e){if(""===e)return[];"string"==typeof e&&"/"==e.charAt(0)||r("Invalid JSON pointer: "+e);for(var t=e.slice(1).split("/"),n=0;n<t.length;n++)t[n]=t[n].replace(/~1/g,"/").replace(/~0/g,"~");return t}function s(e,t,n){var o="-"==t&&n?e.length:Number(t);return(!/^(0|[1-9][0-9]*|-)$/.test(t)||isNaN(o)||o>e.length-(n?0:1))&&r("Invalid array index: "+t),o}function c(n){for(var o=t,i=0;i<n.length;i++)e.isArray(o)?o=o[s(o,n[i])]:null!==o&&"object"==typeof o&&Object.prototype.hasOwnProperty.call(o,n[i])?o=o[n[i]]:r("Path not found: /"+n.slice(0,i+1).join("/"));return o}function a(n,o){if(!n.length)return void(t=o);var i=c(n.slice(0,-1)),u=n[n.length-1];e.isArray(i)?i.splice(s(i,u,!0),0,o):null!==i&&"object"==typeof i?i[u]=o:r("Path not found: /"+n.join("/"))}function l(n){var r=c(n),o=c(n.slice(0,-1)),i=n[n.length-1];return n.length?e.isArray(o)?o.splice(s(o,i),1):delete o[i]:t=void 0,r}function d(t,n){if(t===n)return!0;if(null===t||null===n||"object"!=typeof t||"object"!=typeof n||e.isArray(t)!=e.isArray(n))return!1;var r,o=0;for(r in t){if(!Object.prototype.hasOwnProperty.call(n,r)||!d(t[r],n[r]))return!1;o++}for(r in n)o--;return 0===o}t=i(t);for(var f=0;f<n.length;f++){var h=n[f],p=u(h.path);switch(h.op){case"add":a(p,i(h.value));break;case"remove":l(p);break;case"replace":l(p),a(p,i(h.value));break;case"move":a(p,l(u(h.from)));break;case"copy":a(p,i(c(u(h.from))));break;case"test":if(!d(c(p),h.value))throw o(412,"precondition_failed","Test failed: "+h.path);break;default:r("Unknown patch operation: "+h.op)}}return t}function k(t,n){for(var r in t)delete t[r];return e.extend(t,n)}function q(e){return"undefined"!=typeof Blob&&e instanceof Blob||"undefined"!=typeof ArrayBuffer&&(e instanceof ArrayBuffer||e.buffer instanceof ArrayBuffer)}function S(t){var n,r,o,i,u,s,c,a=t._attachments||{},l=e.extend({},t),d="zepto.couch."+h(),f=[],p={},v=!1;l._attachments=e.extend({},a);for(r in a)(o=a[r])&&o.data&&q(o.data)&&(i=void 0!==o.data.size?o.data.size:o.data.byteLength,v=v||void 0!==o.data.size,f.push(r),p[r]={content_type:o.content_type||o.data.type||"application/octet-stream",length:i,stub:!0},l._attachments[r]=e.extend({},p[r],{follows:!0}),delete l._attachments[r].stub);if(!f.length)return null;for(n=["--"+d+"\r\nContent-Type: application/json\r\n\r\n"+J(l)],c=0;c<f.length;c++)n.push("\r\n--"+d+'\r\nContent-Disposition: attachment; filename="'+f[c].replace(/(["\\])/g,"\\$1")+'"\r\nContent-Type: '+p[f[c]].content_type+"\r\n\r\n",a[f[c]].data);if(n.push("\r\n--"+d+"--"),v)u=new Blob(n);else{for(c=0,i=0;c<n.length;c++)n[c]="string"==typeof n[c]?C(n[c]):new Uint8Array(n[c].buffer||n[c],n[c].byteOffset||0,n[c].byteLength),i+=n[c].length;for(u=new Uint8Array(i),c=0,s=0;c<n.length;c++)u.set(n[c],s),s+=n[c].length}return{body:u,stubs:p,contentType:'multipart/related; boundary="'+d+'"'}}function D(t,n){var r,o,i,u=/boundary="?([^";]+)"?/i.exec(n||""),s=(n||"").split(";")[0].toLowerCase(),c=[];if(!u)return o={raw:U(t)},o.value=JSON.parse(o.raw),e.isArray(o.value)||(o.doc=o.value,e.each(o.doc._attachments||{},function(e,t){"string"==typeof t.data&&(t.data=P(j(t.data),t.content_type))})),o;if(r=R(t,u[1]),"multipart/related"==s)return A(r);for(i=0;i<r.length;i++)o=D(r[i].body,r[i].headers["content-type"]),c.push(o.value.missing?o.value:{ok:o.value});return{value:c}}function A(e){var t,n,r,o,i=U(e[0].body),u=JSON.parse(i),s=u._attachments||{},c=[];for(t in s)s[t].follows&&c.push(t);for(o=1;o<e.length;o++)r=/filename="((?:[^"\\]|\\.)*)"/.exec(e[o].headers["content-disposition"]||""),t=r?r[1].replace(/\\(.)/g,"$1"):c[o-1],(n=s[t])&&(n.data=P(e[o].body,n.content_type),delete n.follows);return{value:u,doc:u,raw:i}}function P(e,t){return"undefined"!=typeof Blob?new Blob([e],{type:t}):e.buffer.slice(e.byteOffset,e.byteOffset+e.length)}function R(t,n){var r,o,i,u,s,c,a,l=C("\r\n--"+n),d=[13,10,13,10],f=[];for(r=E(t,l.subarray(2),0),r>=0&&(r+=l.length-2);r>=0&&(45!=t[r]||45!=t[r+1])&&!((o=E(t,l,r))<0);){for(i=t.subarray(r,o),u=E(i,d,0),s=U(i.subarray(0,u)).split("\r\n"),f.push({headers:{},body:i.subarray(u+4)}),a=0;a<s.length;a++)(c=s[a].indexOf(":"))>0&&(f[f.length-1].headers[e.trim(s[a].slice(0,c)).toLowerCase()]=e.trim(s[a].slice(c+1)));r=o+l.length}return f}function E(e,t,n){e:for(var r=n;r<=e.length-t.length;r++){for(var o=0;o<t.length;o++)if(e[r+o]!=t[o])continue e;return r}return-1}function O(e){var t,n,r="string"==typeof e?C(e):e,o="";for(n=0;n<r.length;n+=3)t=r[n]<<16|(r[n+1]||0)<<8|(r[n+2]||0),o+=X.charAt(t>>18&63)+X.charAt(t>>12&63)+(n+1<r.length?X.charAt(t>>6&63):"=")+(n+2<r.length?X.charAt(63&t):"=");return o}function j(e){e=e.replace(/[^A-Za-z0-9+\/]/g,"");var t,n,r=new Uint8Array(Math.floor(3*e.length/4)),o=0;for(n=0;n<e.length;n+=4)t=X.indexOf(e.charAt(n))<<18|X.indexOf(e.charAt(n+1))<<12|(63&X.indexOf(e.charAt(n+2)))<<6|63&X.indexOf(e.charAt(n+3)),r[o++]=t>>16&255,o<r.length&&(r[o++]=t>>8&255),o<r.length&&(r[o++]=255&t);return r}function C(e){if("undefined"!=typeof TextEncoder)return(new TextEncoder).encode(e);e=unescape(encodeURIComponent(e));for(var t=new Uint8Array(e.length),n=0;n<e.length;n++)t[n]=e.charCodeAt(n);return t}function U(e){if("undefined"!=typeof TextDecoder)return(new TextDecoder).decode(e);for(var t="",n=0;n<e.length;n+=4096)t+=String.fromCharCode.apply(null,e.subarray(n,n+4096));return decodeURIComponent(escape(t))}function I(t){return e.map(t.split("/"),function(e){return encodeURIComponent(e)}).join("/")}function N(t,n){var r=t.ajaxDefaults||{};return e.extend({Accept:"application/json"},r.headers,n)}function L(e){var e=e||{};if(void 0!==e.ensure_full_commit){var t=e.ensure_full_commit;return delete e.ensure_full_commit,function(e){e.setRequestHeader("Accept","application/json"),e.setRequestHeader("X-Couch-Full-Commit",t.toString())}}}function z(t){var n=[];if("object"==typeof t&&null!==t)for(var r in t)if(!(e.inArray(r,["error","success","beforeSuccess","ajaxStart"])>=0)){var o=t[r];e.inArray(r,["key","keys","startkey","endkey","start_key","end_key"])>=0&&(o=J(o)),n.push(encodeURIComponent(r)+"="+encodeURIComponent(o))}return n.length?"?"+n.join("&"):""}function J(e){return null!==e?JSON.stringify(e):null}e.couch=e.couch||{},n.prototype=new Error,n.prototype.constructor=n,n.prototype.name="CouchError";var B=r("ConflictError",n),G=r("NotFoundError",n),M=r("UnauthorizedError",n),H=r("ForbiddenError",n),F=r("NetworkError",n),$={urlPrefix:"http://.touchdb.",uuidBatchSize:100,uuidLowWater:10,activeTasks:function(e){return this.request({url:this.urlPrefix+"/_active_tasks"},e,"Active task status could not be retrieved")},allDbs:function(e){return this.request({url:this.urlPrefix+"/_all_dbs"},e,"An error occurred retrieving the list of all databases")},db:function(n,r){function i(e){if(e._id&&e._rev&&p[e._id]&&p[e._id].rev==e._rev){var t,n,o=r.attachPrevRevLimit;if(e._attachments=e._attachments||{},e._attachments["rev-"+e._rev.split("-")[0]]={content_type:"application/json",data:O(p[e._id].raw)},o)for(t=y(e),n=o;n<t.length;n++)delete e._attachments["rev-"+t[n]];return!0}}function s(e,t,n,r){function o(){return!i||r?f():h.request({type:"DELETE",url:s+z({rev:i})},{},"The temporary view could not be deleted").then(null,function(){})}var i,u="zepto.couch.temp."+m(J(t)),s=e.uri+"_design/"+encodeURIComponent(u);return h.request({type:"PUT",url:s,data:J({language:t.language,views:{temp:{map:t.map,reduce:t.reduce}}})},{successStatus:[201,202]},"The temporary view could not be created").then(function(e){i=e.rev},function(e){if(!(e instanceof B))throw e}).then(function(){return h.request({url:s+"/_view/temp"+z(n)},{},"An error occurred querying the database")}).then(function(e){return o().then(function(){return e})},function(e){return o().then(function(){throw e})})}function c(n,o,i){var u=e.extend({},i,{attachments:!0});return delete u.multipart,delete u.attachPrevRev,v(g(h,n.uri+t(o)+z(u),"The document could not be retrieved","arraybuffer","multipart/mixed, multipart/related, application/json").then(function(e){var t=D(new Uint8Array(e.response),e.getResponseHeader("Content-Type")),n=t.doc;return n&&n._rev&&(r.attachPrevRev||i.attachPrevRev||n["zepto.couch.attachPrevRev"])&&(p[n._id]={rev:n._rev,raw:t.raw}),t.value}),i)}r=r||{};var h=this,p={};return{name:n,uri:h.urlPrefix+"/"+encodeURIComponent(n)+"/",server:h,compact:function(t){return t=t||{},e.extend(t,{successStatus:202}),h.request({type:"POST",url:this.uri+"_compact",data:"",processData:!1},t,"The database could not be compacted")},viewCleanup:function(t){return t=t||{},e.extend(t,{successStatus:202}),h.request({type:"POST",url:this.uri+"_view_cleanup",data:"",processData:!1},t,"The views could not be cleaned up")},compactView:function(t,n){return n=n||{},e.extend(n,{successStatus:202}),h.request({type:"POST",url:this.uri+"_compact/"+t,data:"",processData:!1},n,"The view could not be compacted")},create:function(t){return t=t||{},e.extend(t,{successStatus:201}),h.request({type:"PUT",url:this.uri,contentType:"application/json",data:"",processData:!1},t,"The database could not be created")},drop:function(e){return h.request({type:"DELETE",url:this.uri},e,"The database could not be deleted")},info:function(e){return h.request({url:this.uri},e,"Database information could not be retrieved")},changes:function(t,n){function r(e){var t=e.doc&&e.doc._conflicts;return!!t&&t.length>0}function i(t){var o=t.results||[];if(R&&(o=e.grep(o,function(e){return R(e)}),t.results.length&&!o.length&&(o=null),t=e.extend({},t,{results:o})),o){var i=e.map(o,function(e){var t=r(e);return n.include_docs||delete e.doc,t});e.each($,function(){this(t)}),e.each(o,function(e,t){d(K,V,t),t.deleted&&d(K,X,t),i[e]&&d(K,W,t)})}H&&s()}function s(){function e(){A=!1,P&&(P=!1,s())}if(A)return void(P=!0);A=!0,f(F.set(j,H,t)).then(e,e)}function c(e){t=e.seq,i({results:[e],last_seq:e.seq})}function a(e){C=!1,K.state=e,clearTimeout(D),l(),window.removeEventListener&&(window.removeEventListener("online",K.resume,!1),window.removeEventListener("offline",_,!1))}function l(){S&&(S.abort?S.abort():S.close(),S=null)}function p(){O=100,U=0,K.state="connected",I&&(I=!1,d(K,Q))}function v(e){L=e,I=!0,K.state="paused",clearTimeout(D),l(),d(K,Y,e)}function _(){C&&!L&&v("offline")}function g(e){return!(!C||L)&&(U++,I=!0,K.state="retrying",d(K,Z,e,U),!(void 0!==G&&U>G)||(v("retries"),!1))}function y(e){if(g(e)){var t=Math.min(O,B);D=setTimeout(k,t/2+Math.random()*t/2),O*=2}}function m(e){var t={};try{t=JSON.parse(e.responseText)}catch(e){}return e.status?o(e.status,t.error||"changes_error",t.reason||e.statusText):o(0,"network_error","The server could not be reached")}function w(r){var o=e.extend({heartbeat:1e4},n,{feed:r,since:t});return W.length&&(o.include_docs=!0,o.conflicts=!0),j.uri+"_changes"+z(o)}function b(){h.request({type:E?"POST":"GET",url:w(M),data:E&&J(E)},n,"Error connecting to "+j.uri+"/_changes.",{xhr:function(){return S=new XMLHttpRequest}})}function T(){function e(){for(var e,o,i,u=n.responseText||"";(e=u.indexOf("\n",r))>=0;)if(o=u.slice(r,e),r=e+1,C&&/\S/.test(o)){try{i=JSON.parse(o)}catch(e){continue}void 0!==i.last_seq?t=i.last_seq:c(i)}}var n=S=new XMLHttpRequest,r=0,o=N(h);n.onprogress=e,n.onreadystatechange=function(){if(n.readyState<3||200!=n.status)return void(4==n.readyState&&S==n&&y(m(n)));"connected"!=K.state&&p(),e(),4==n.readyState&&S==n&&k()},n.open(E?"POST":"GET",w("continuous"),!0),E&&(o["Content-Type"]="application/json");for(var i in o)n.setRequestHeader(i,o[i]);n.send(E?J(E):null)}function x(){var e=S=new EventSource(w("eventsource"));e.onopen=p,e.onmessage=function(e){C&&c(JSON.parse(e.data))},e.onerror=function(){if(S==e){var t=o(0,"network_error","The changes feed was disconnected");2==e.readyState?y(t):g(t)||l()}}}function k(){C&&!L&&(void 0===t||null===t?q():"continuous"==M?T():"eventsource"==M&&window.EventSource&&!E?x():("eventsource"==M&&(M="longpoll"),b()))}function q(){f(H?F.get(j,H):null).then(null,function(){}).then(function(e){void 0!==e&&null!==e?(t=e,k()):j.info().then(function(e){t=e.update_seq,k()},y)})}n=e.extend({},n);var S,D,A,P,R,E,O=100,j=this,C=!0,U=0,I=!1,L=null,B=n.maxBackoff||6e4,G=n.maxRetries,M=n.feed||"longpoll",H=n.checkpoint,F=u(n.checkpointStore),$=[],V=[],X=[],W=[],Z=[],Q=[],Y=[],K={state:"connecting",onChange:function(e){$.push(e)},onDocChange:function(e){V.push(e)},onDelete:function(e){X.push(e)},onConflict:function(e){W.push(e)},onError:function(e){Z.push(e)},onReconnect:function(e){Q.push(e)},onPause:function(e){Y.push(e)},resume:function(){C&&L&&(L=null,O=100,U=0,K.state="connecting",k())},stop:function(){a("stopped")}};return delete n.checkpoint,delete n.checkpointStore,delete n.maxBackoff,delete n.maxRetries,e.isFunction(n.filter)&&(R=n.filter,delete n.filter),n.doc_ids?(E={doc_ids:n.doc_ids},n.filter="_doc_ids",delete n.doc_ids):n.selector?(E={selector:n.selector},n.filter="_selector",delete n.selector):n.view&&(n.filter="_view"),n.success=function(e){C&&(p(),t=e.last_seq,i(e),"normal"!=M||n.limit&&e.results.length>=n.limit?k():a("done"))},n.error=function(e,t,n,r,o){y(o)},window.addEventListener&&(window.addEventListener("online",K.resume,!1),window.addEventListener("offline",_,!1)),window.navigator&&!1===navigator.onLine?(L="offline",I=!0,K.state="paused"):D=setTimeout(k,0),K},resetCheckpoint:function(e,t){return f(u(t).remove(this,e))},allDocs:function(e){e=e||{};var t="GET",n=null;if(e.keys){t="POST";var r=e.keys;delete e.keys,n=J({keys:r})}return h.request({type:t,data:n,url:this.uri+"_all_docs"+z(e)},e,"An error occurred retrieving a list of all documents")},allDesignDocs:function(t){return this.allDocs(e.extend({startkey:"_design",endkey:"_design0"},t))},allApps:function(t){t=t||{};var r=this;if(t.eachApp)return this.allDesignDocs({success:function(o){e.each(o.rows,function(){r.openDoc(this.id,{success:function(e){var r,o,i=e._id.split("/");i.shift(),i=i.join("/"),r=e.couchapp&&e.couchapp.index,r?o=["",n,e._id,r].join("/"):e._attachments&&e._attachments["index.html"]&&(o=["",n,e._id,"index.html"].join("/")),o&&t.eachApp(i,o,e)}})})}});throw"Please provide an eachApp function for allApps()"},openDoc:function(n,o,i){return o=o||{},o.multipart?c(this,n,o):(r.attachPrevRev||o.attachPrevRev?e.extend(o,{beforeSuccess:function(e,t){p[t._id]={rev:t._rev,raw:e.responseText}}}):e.extend(o,{beforeSuccess:function(e,t){t["zepto.couch.attachPrevRev"]&&(p[t._id]={rev:t._rev,raw:e.responseText})}}),h.request({url:this.uri+t(n)+z(o)},o,"The document could not be retrieved",i))},openRevision:function(t,n,r){return this.openDoc(t,e.extend({},r,{rev:n}))},listRevisions:function(t,n){n=n||{};var r=e.extend({},n,{revs_info:!0});return delete r.success,delete r.error,v(this.openDoc(t,r).then(function(e){return e._revs_info}),n)},openAllLeaves:function(t,n){n=n||{};var r=e.extend({},n,{open_revs:"all"});return delete r.success,delete r.error,v(this.openDoc(t,r).then(function(t){return e.map(t,function(e){return e.ok})}),n)},saveDoc:function(n,o){function u(){var r=i(n),o=S(n);return h.request({type:"PUT",url:s.uri+t(n._id)+z(p),data:o?o.body:J(n),processData:!o,beforeSend:c},{successStatus:[200,201,202]},"The document could not be saved",o?{contentType:o.contentType}:void 0).then(function(t){return n._rev=t.rev,o&&e.each(o.stubs,function(e,r){r.revpos=parseInt(t.rev,10),n._attachments[e]=r}),r?s.openDoc(n._id,{attachPrevRev:!0}).then(function(e){return n._attachments=e._attachments,t}):t},function(e){if(!(e instanceof B)||!l||d--<=0)throw e;return s.openDoc(n._id).then(function(e){return"client"==l?(n._rev=e._rev,u()):"server"==l?(k(n,e),{ok:!0,id:e._id,rev:e._rev,discarded:!0}):f(l(n,e)).then(function(t){return k(n,t),n._id=e._id,n._rev=e._rev,u()})})})}o=o||{};var s=this,c=L(o),a=void 0===n._id?h.uuid():f(n._id),l=o.conflict||r.conflict,d=void 0!==o.conflictRetries?o.conflictRetries:void 0!==r.conflictRetries?r.conflictRetries:3,p=e.extend({},o);return delete p.conflict,delete p.conflictRetries,v(a.then(function(e){return n._id=e,u()}),o)},patchDoc:function(t,n,r){function o(){return i.openDoc(t).then(function(t){var r=e.isArray(n)?x(t,n):T(JSON.parse(J(t)),n);return r._id=t._id,r._rev=t._rev,i.saveDoc(r,{conflictRetries:0}).then(function(){return r},function(e){if(e instanceof B&&u-- >0)return o();throw e})})}r=r||{};var i=this,u=void 0!==r.conflictRetries?r.conflictRetries:3;return v(o(),r)},resolveConflicts:function(t,n,r){"function"!=typeof n&&(r=n,n=null),r=r||{};var o,i=this;return v(i.openDoc(t,{conflicts:!0}).then(function(r){return o=r,r._conflicts?i.openDoc(t,{open_revs:J(r._conflicts)}).then(function(t){var r=e.map(t,function(e){return e.ok});return delete o._conflicts,f(n?n(o,r):o).then(function(t){var u=e.map(r,function(e){return{_id:e._id,_rev:e._rev,_deleted:!0}});return n&&(t._id=o._id,t._rev=o._rev,u.unshift(t)),i.bulkSave({docs:u})})}):[]}),r)},bulkSave:function(t,n){n=n||{};var r=L(n);return e.extend(n,{successStatus:201,beforeSend:r}),h.request({type:"POST",url:this.uri+"_bulk_docs"+z(n),contentType:"application/json",data:J(t)},n,"The documents could not be saved")},revsDiff:function(e,t){return h.request({type:"POST",url:this.uri+"_revs_diff",contentType:"application/json",data:J(e)},t,"The missing revisions could not be retrieved")},bulkGet:function(t,n){n=n||{};var r=this,o={};return e.each(["revs","attachments","latest"],function(e,t){void 0!==n[t]&&(o[t]=n[t])}),v(h.request({type:"POST",url:r.uri+"_bulk_get"+z(o),contentType:"application/json",data:J({docs:t})},{},"The documents could not be retrieved").then(null,function(n){if(e.inArray(n.status,[400,404,405])<0)throw n;var i=[],u={};return e.each(t,function(e,t){u[t.id]||i.push(t.id),u[t.id]=(u[t.id]||[]).concat([t.rev])}),l(e.map(i,function(t){return[r.openDoc(t,e.extend({open_revs:J(u[t])},o)).then(function(n){return{id:t,docs:e.map(n,function(e){return e.ok?{ok:e.ok}:{error:{id:t,rev:e.missing,error:"not_found",reason:"missing"}}})}})]})).then(function(e){return{results:e}})}),n)},removeDoc:function(e,n){return h.request({type:"DELETE",url:this.uri+t(e._id)+z({rev:e._rev})},n,"The document could not be deleted")},bulkRemove:function(t,n){return t.docs=e.each(t.docs,function(e,t){t._deleted=!0}),n=n||{},e.extend(n,{successStatus:201}),h.request({type:"POST",url:this.uri+"_bulk_docs"+z(n),data:J(t)},n,"The documents could not be deleted")},copyDoc:function(n,r,o){return r=r||{},e.extend(r,{successStatus:201}),h.request({type:"COPY",url:this.uri+t(n)},r,"The document could not be copied",o)},query:function(t,n,r,o){o=o||{},r=r||"javascript","string"!=typeof t&&(t=w(t));var i={language:r,map:t};null!=n&&("string"!=typeof n&&(n=w(n)),i.reduce=n);var u=this,c=e.extend({},o);return delete c.cacheTempView,v(h.request({type:"POST",url:this.uri+"_temp_view"+z(c),contentType:"application/json",data:J(i)},{},"An error occurred querying the database").then(null,function(t){if(e.inArray(t.status,[404,405,410])<0)throw t;return s(u,i,c,o.cacheTempView)}),o)},list:function(e,t,n,r){var e=e.split("/"),n=n||{},o="GET",i=null;if(n.keys){o="POST";var u=n.keys;delete n.keys,i=J({keys:u})}return h.request({type:o,data:i,url:this.uri+"_design/"+e[0]+"/_list/"+e[1]+"/"+t+z(n)},r,"An error occured accessing the list")},view:function(e,t){var e=e.split("/"),t=t||{},n="GET",r=null;if(t.keys){n="POST";var o=t.keys;delete t.keys,r=J({keys:o})}return h.request({type:n,data:r,url:this.uri+"_design/"+e[0]+"/_view/"+e[1]+z(t)},t,"An error occurred accessing the view")},viewMulti:function(t,n,r){r=r||{};var o=this,i=t.split("/"),u="_all_docs"==t?o.uri+"_all_docs":o.uri+"_design/"+i[0]+"/_view/"+i[1];return v(h.request({type:"POST",url:u+"/queries",data:J({queries:n})},{},"An error occurred accessing the view").then(function(e){return e.results},function(r){if(e.inArray(r.status,[400,404,405])<0)throw r;return l(e.map(n,function(n){return n=e.extend({},n),["_all_docs"==t?o.allDocs(n):o.view(t,n)]}))}),r)},paginate:function(t,n){function r(n,r){var o=s[n],a=e.extend({},u,{limit:c.pageSize+1});return o&&(a.startkey=o.key,void 0!==o.id&&(a.startkey_docid=o.id)),v(("_all_docs"==t?i.allDocs(a):i.view(t,a)).then(function(e){var t=e.rows.slice(0,c.pageSize),r=e.rows[c.pageSize];return s[n+1]=r&&{key:r.key,id:r.id},c.rows=t,c.page=n,c.hasNext=!!r,c.hasPrev=n>0,t}),r||{})}function o(e){return v(f([]),e||{})}var i=this,u=e.extend({},n),s=[null];delete u.limit;var c={pageSize:n&&n.limit||10,page:-1,rows:[],hasNext:!0,hasPrev:!1,next:function(e){return c.hasNext?r(c.page+1,e):o(e)},prev:function(e){return c.hasPrev?r(c.page-1,e):o(e)},forEachRow:function(e,t){function n(t,i){return i==t.length?c.hasNext?r(c.page+1).then(function(e){return n(e,0)}):o:(o++,f(e(t[i])).then(function(e){return!1===e?o:n(t,i+1)}))}var o=0;return v(r(0).then(function(e){return n(e,0)}),t||{})}};return c},viewQuery:function(t){function n(e){return function(t){return s[e]=!arguments.length||t,i}}function r(){if("_all_docs"==t)return u.uri+"_all_docs";var e=t.split("/");return u.uri+"_design/"+e[0]+"/_view/"+e[1]}var i,u=this,s={};return i={key:n("key"),keys:n("keys"),startkey:n("startkey"),endkey:n("endkey"),startDocId:n("startkey_docid"),endDocId:n("endkey_docid"),inclusiveEnd:n("inclusive_end"),descending:n("descending"),group:n("group"),groupLevel:n("group_level"),reduce:n("reduce"),includeDocs:n("include_docs"),conflicts:n("conflicts"),limit:n("limit"),skip:n("skip"),stale:n("stale"),updateSeq:n("update_seq"),range:function(e,t){return void 0!==e&&(s.startkey=e),void 0!==t&&(s.endkey=t),i},options:function(){return e.extend({},s)},url:function(){return r()+z(s)},run:function(e){e=e||{};var t=b(s),n=i.url(),r=s.keys;return t?a(e,o(400,"query_parse_error",t)):(r&&n.length>2e3?(delete s.keys,n=i.url(),s.keys=r):r=null,h.request({type:r?"POST":"GET",url:n,data:r?J({keys:r}):null},e,"An error occurred accessing the view"))}}},docUrl:function(e,n){return this.uri+t(e)+z(n)},attachmentUrl:function(e,n,r){return this.uri+t(e)+"/"+I(n)+z(r)},putAttachment:function(t,n,r,o,i,u){return u=u||{},e.extend(u,{successStatus:[201,202]}),i=i||o.type||"application/octet-stream",h.request({type:"PUT",url:this.attachmentUrl(t,r,n?{rev:n}:null),data:o,processData:!1},u,"The attachment could not be saved",{contentType:i})},getAttachment:function(e,t,n){n=n||{};var r=n.responseType||"blob",o=this.attachmentUrl(e,t,n.rev?{rev:n.rev}:null);return v(g(h,o,"The attachment could not be retrieved",r,"*/*").then(function(e){return"text"==r?e.responseText:e.response}),n)},removeAttachment:function(e,t,n,r){return h.request({type:"DELETE",url:this.attachmentUrl(e,n,{rev:t})},r,"The attachment could not be deleted")},listPrevRevs:function(e,t){return t=t||{},v(this.openDoc(e).then(function(e){return y(e)}),t)},openPrevRev:function(e,t,n){return n=n||{},v(this.getAttachment(e,"rev-"+t,{responseType:"text"}).then(function(e){return JSON.parse(e)}),n)},restorePrevRev:function(e,t,n){n=n||{};var r=this;return v(r.openDoc(e,{attachPrevRev:!0}).then(function(n){return r.openPrevRev(e,t).then(function(e){return e._rev=n._rev,e._attachments=n._attachments,r.saveDoc(e)})}),n)},getDbProperty:function(e,t,n){return h.request({url:this.uri+e+z(t)},t,"The property could not be retrieved",n)},setDbProperty:function(e,t,n,r){return h.request({type:"PUT",url:this.uri+e+z(n),data:JSON.stringify(t)},n,"The property could not be updated",r)}}},info:function(e){return this.request({url:this.urlPrefix+"/"},e,"Server information could not be retrieved")},replicate:function(t,n,r,o){return r=r||{},o=e.extend({source:t,target:n},o),o.continuous&&!o.cancel&&(r.successStatus=202),this.request({type:"POST",url:this.urlPrefix+"/_replicate",data:JSON.stringify(o),contentType:"application/json"},r,"Replication failed")},replicator:function(t){function n(e){return u.request({url:u.urlPrefix+"/_scheduler/docs/"+encodeURIComponent(t)+(e?"/"+encodeURIComponent(e):"")},{},"The replication state could not be retrieved").then(function(t){return e?[t]:t.docs},function(){return[]})}function r(e){var t=JSON.parse(J(e));for(var n in t)0===n.indexOf("_replication_")&&delete t[n];return t}function o(e,t){return t=t||{},{id:e._id,rev:e._rev,source:e.source,target:e.target,continuous:!!e.continuous,replicationId:t.id||e._replication_id,state:t.state||e._replication_state,reason:t.error_count?t.info:e._replication_state_reason,doc:e}}t=t||"_replicator";var i,u=this,s=u.db(t);return i={db:s,create:function(t,n,r,o){return s.saveDoc(e.extend({source:t,target:n},r),o)},list:function(t){return v(l([s.allDocs({include_docs:!0}),n()]).then(function(t){var n={};return e.each(t[1],function(e,t){n[t.doc_id]=t}),e.map(t[0].rows,function(e){return 0===e.id.indexOf("_design/")?null:o(e.doc,n[e.id])})}),t||{})},get:function(e,t){return v(l([s.openDoc(e),n(e)]).then(function(e){return o(e[0],e[1][0])}),t||{})},update:function(e,t,n){var i;return v(s.openDoc(e).then(function(e){return i=T(r(e),t),s.saveDoc(i).then(null,function(t){if(!(t instanceof H&&/only the replicator/i.test(t.reason)))throw t;return delete i._rev,s.removeDoc(e).then(function(){return s.saveDoc(i).then(null,function(t){var n=r(e);return delete n._rev,s.saveDoc(n).then(function(){throw t},function(){throw t})})})})}).then(function(){return o(i)}),n||{})},cancel:function(t,n){return v(s.openDoc(t).then(null,function(n){if(!(n instanceof G))throw n;return i.list().then(function(r){var o=e.grep(r,function(e){return e.replicationId&&e.replicationId.split("+")[0]==t.split("+")[0]})[0];if(!o)throw n;return o.doc})}).then(function(e){return s.removeDoc(e)}),n||{})}}},monitorReplication:function(t,n){function r(e){return e&&(e.doc_id==t||(e.replication_id||e.id||"").split("+")[0]==m)}function i(t){return e.grep(t||[],r)[0]}function u(e){return q?y.request({url:y.urlPrefix+"/_scheduler/"+e},{},"The replication scheduler could not be queried").then(null,function(e){return 400!=e.status&&404!=e.status||(q=!1),null}):f(null)}function s(){l([y.activeTasks(),u("jobs"),u("docs")]).then(function(t){A=0,w&&(c(i(e.grep(t[0],function(e){return"replication"==e.type})),i(t[1]&&t[1].jobs),i(t[2]&&t[2].docs)),w&&(g=setTimeout(s,b)))},function(e){w&&(d(j,O,e,++A),g=setTimeout(s,b))})}function c(e,n,r){var i,u,s,c,l=e||n||r,f=e||(n||r||{}).info,v=n&&n.history&&n.history[0],g=500;if(r&&/^(crashing|failed|error)$/.test(r.state)?i="string"==typeof r.info?r.info:r.info&&r.info.error||r.state:!r&&v&&"crashed"==v.type&&(i=v.reason),!l){if(!S)return void(++k>=x&&h(o(404,"not_found","The replication could not be found")));if(!j.progress||!j.progress.continuous)return p("completed");g=404,
+i="The replication is no longer running"}return S=!0,r&&"completed"==r.state?p("completed"):i?(j.state="error",void(D||(D=!0,d(j,O,o(g,"replication_failed",String(i)))))):(D&&(D=!1,j.state="running"),f&&"object"==typeof f||(f={}),s={replication_id:e?e.replication_id:l.id||t,doc_id:l.doc_id,continuous:e?!!e.continuous:/\+continuous$/.test(l.id||""),docs_read:f.docs_read,docs_written:f.docs_written,doc_write_failures:f.doc_write_failures,changes_pending:f.changes_pending,checkpointed_source_seq:f.checkpointed_source_seq,source_seq:f.source_seq,through_seq:f.through_seq},u=(new Date).getTime(),c=J([s.docs_read,s.docs_written,s.doc_write_failures,s.changes_pending,s.checkpointed_source_seq,s.through_seq]),void(c!=_?(_=c,P=u,s.state=j.state="running",j.progress=s,d(j,R,s)):"stalled"!=j.state&&u-P>=T&&a(s)&&(s.state=j.state="stalled",j.progress=s,d(j,E,s))))}function a(e){if(null!=e.changes_pending)return e.changes_pending>0;var t=e.through_seq||e.checkpointed_source_seq;return null!=e.source_seq&&J(e.source_seq)!=J(t)}function h(e){w=!1,j.state="error",d(j,O,e)}function p(t){w=!1,j.state=t,j.progress&&(j.progress=e.extend({},j.progress,{state:t}),d(j,R,j.progress))}n=n||{};var v="object"==typeof t?t:null;v&&(t=v._local_id||v.replicationId||v.id);var _,g,y=this,m=String(t||"").split("+")[0],w=!0,b=n.interval||5e3,T=n.stallTimeout||6e4,x=n.findPolls||5,k=0,q=!0,S=!1,D=!1,A=0,P=(new Date).getTime(),R=[],E=[],O=[],j={state:"connecting",progress:null,onProgress:function(e){R.push(e)},onStall:function(e){E.push(e)},onError:function(e){O.push(e)},stop:function(){w=!1,j.state="stopped",clearTimeout(g)}};if(t)s();else if(v&&v.history){var C=v.history[0]||{};j.progress={replication_id:null,doc_id:null,continuous:!1,docs_read:C.docs_read,docs_written:C.docs_written,doc_write_failures:C.doc_write_failures,checkpointed_source_seq:v.source_last_seq,source_seq:v.source_last_seq,through_seq:v.source_last_seq},g=setTimeout(function(){p("completed")},0)}else g=setTimeout(function(){h(o(400,"bad_request","No replication id to monitor"))},0);return j},sync:function(t,n,r){function o(e){var t;return"string"==typeof e?e:0===e.uri.indexOf(a.urlPrefix+"/")?e.name:(t=e.server&&(e.server.ajaxDefaults||{}).headers,t?{url:e.uri,headers:t}:e.uri)}function i(t,n){t.progress=e.extend({},t.progress,{state:"error"}),d(g,_,n,t.name),s()}function u(t,n,o){var u={name:t,repOpts:e.extend({source:n,target:o},f,r[t]),progress:{state:"connecting"}};return u.started=a.replicate(n,o,{},u.repOpts).then(function(e){if(u.cancelled)return e._local_id;if(!u.repOpts.continuous){var t=(e.history||[])[0]||{};return u.progress={state:"completed",docs_read:t.docs_read,docs_written:t.docs_written,doc_write_failures:t.doc_write_failures},s(),null}return u.monitor=a.monitorReplication(e._local_id,h),u.monitor.onProgress(function(e){u.progress=e,s()}),u.monitor.onStall(function(e){u.progress=e,s()}),u.monitor.onError(function(e,t){t||i(u,e)}),e._local_id},function(e){return i(u,e),null}),u}function s(){var t=c[0],n=c[1],r={},o={push:t.progress,pull:n.progress};e.each(c,function(t,n){r[n.progress.state]=!0,e.each(["docs_read","docs_written","doc_write_failures","changes_pending"],function(e,t){null!=n.progress[t]&&(o[t]=(o[t]||0)+n.progress[t])})}),o.state=t.cancelled?"cancelled":r.error?"error":r.stalled?"stalled":r.connecting?"connecting":r.running?"running":"completed",g.status=o,d(g,p,o)}r=e.extend({continuous:!0},r);var c,a=this,f=e.extend({},r),h={interval:r.interval,stallTimeout:r.stallTimeout},p=[],_=[],g={status:null,onChange:function(e){p.push(e)},onError:function(e){_.push(e)},cancel:function(t){var n=[];return e.each(c,function(t,r){r.cancelled=!0,r.progress=e.extend({},r.progress,{state:"cancelled"}),r.monitor&&r.monitor.stop(),n.push(r.started.then(function(t){if(t)return a.replicate(r.repOpts.source,r.repOpts.target,{},e.extend({},r.repOpts,{cancel:!0})).then(null,function(e){if(!(e instanceof G))throw e})}))}),s(),v(l(n).then(function(){return{ok:!0}}),t||{})}};return e.each(["push","pull","interval","stallTimeout"],function(e,t){delete f[t]}),c=[u("push",o(t),o(n)),u("pull",o(n),o(t))],g.status={state:"connecting",push:c[0].progress,pull:c[1].progress},g},clientReplicate:function(t,n,r){function o(e){q=!1,U.state=e,r.success&&r.success(I),k.resolve(I)}function i(e){if(q){if(!r.continuous)return q=!1,U.state="error",r.error&&r.error(e.status,e.error,e.reason,e.duration,e),void k.reject(e);d(U,C,e,++S),w=setTimeout(a,D),D=Math.min(2*D,A)}}function u(e){return e.openDoc(P).then(null,function(n){if(n instanceof G||e==t&&s(n))return{_id:P};throw n})}function s(e){return e instanceof M||e instanceof H}function c(t,n){var r={},o=0;return void 0===t.session_id?n.source_read_only&&n.source_last_seq||0:t.session_id==n.session_id?t.source_last_seq:(e.each(n.history||[],function(e,t){r[t.session_id]=!0}),e.each(t.history||[],function(e,t){if(r[t.session_id])return o=t.recorded_seq,!1}),o)}function a(){n.info().then(null,function(e){if(!(e instanceof G&&r.create_target))throw e;return n.create()}).then(function(){return l([u(t),u(n)])}).then(function(e){b=e,void 0===T&&(T=void 0!==r.since_seq?r.since_seq:c(e[0],e[1]),x=T),U.state="running",y(!1)}).then(null,i)}function v(n){var o,i=e.extend({},r.query_params,{since:T,limit:r.batch_size,style:"all_docs"});return r.doc_ids?(o={doc_ids:r.doc_ids},i.filter="_doc_ids"):r.selector?(o={selector:r.selector},i.filter="_selector"):r.filter&&(i.filter=r.filter),n&&(i.feed="longpoll"),t.server.request({type:o?"POST":"GET",url:t.uri+"_changes"+z(i),contentType:"application/json",data:o&&J(o)},{},"The changes could not be retrieved")}function _(r){var o={};return e.each(r,function(t,n){o[n.id]=e.map(n.changes,function(e){return e.rev}),I.revisions_checked+=o[n.id].length}),n.revsDiff(o).then(function(n){var r=[];return e.each(n,function(t,n){e.each(n.missing||[],function(e,n){r.push({id:t,rev:n})})}),I.missing_revisions_found+=r.length,r.length?t.bulkGet(r,{revs:!0,attachments:!0,latest:!0}):{results:[]}}).then(function(t){var r=[];if(e.each(t.results,function(t,n){e.each(n.docs,function(e,t){t.ok&&r.push(t.ok)})}),I.docs_read+=r.length,r.length)return n.bulkSave({docs:r,new_edits:!1}).then(function(t){t=e.grep(t||[],function(e){return e.error}),I.docs_written+=r.length-t.length,I.doc_write_failures+=t.length})})}function g(){var r={session_id:R,start_time:E,end_time:(new Date).toUTCString(),start_last_seq:x,end_last_seq:T,recorded_seq:T,docs_read:I.docs_read,docs_written:I.docs_written,doc_write_failures:I.doc_write_failures,missing_checked:I.revisions_checked,missing_found:I.missing_revisions_found};return e.each(b,function(t,n){n.session_id=R,n.source_last_seq=T,n.history=[r].concat(e.grep(n.history||[],function(e){return e.session_id!=R})).slice(0,50)}),(O?t.saveDoc(b[0]).then(null,function(e){if(!s(e))throw e;O=!1}):f()).then(function(){return O||(b[1].source_read_only=!0),n.saveDoc(b[1])})}function y(e){q&&v(e).then(function(e){var t=e.results||[];if(q)return S=0,D=100,_(t).then(function(){var n=t.length<r.batch_size;return t.length||T!=e.last_seq?(T=e.last_seq,I.last_seq=T,void 0!==e.pending&&(I.changes_pending=e.pending),g().then(function(){return d(U,j,I),n})):n}).then(function(e){if(q)return e&&!r.continuous?o("completed"):void y(e)})}).then(null,i)}r=e.extend({batch_size:100},r),"string"==typeof t&&(t=this.db(t)),"string"==typeof n&&(n=this.db(n));var w,b,T,x,k=p(r),q=!0,S=0,D=100,A=r.maxBackoff||6e4,P="_local/zepto.couch.rep."+m(J([t.uri,n.uri,r.filter||null,r.query_params||null,r.doc_ids||null,r.selector||null])),R=h(),E=(new Date).toUTCString(),O=!0,j=[],C=[],U={state:"starting",status:{docs_read:0,docs_written:0,doc_write_failures:0,revisions_checked:0,missing_revisions_found:0},promise:k.promise,onChange:function(e){j.push(e)},onError:function(e){C.push(e)},cancel:function(){q&&(clearTimeout(w),o("cancelled"))}},I=U.status;return a(),U},uuid:function(e){e=e||{};var t=this;return(this.uuidCache.length?f():this.prefetchUUIDs()).then(null,function(){}).then(function(){var n=t.uuidCache.shift()||h();return t.uuidCache.length<t.uuidLowWater&&t.prefetchUUIDs().then(null,function(){}),e.success&&e.success(n),n})},prefetchUUIDs:function(e){var t=this;return this.uuidRequest||(this.uuidRequest=this.request({url:this.urlPrefix+"/_uuids",data:{count:e||this.uuidBatchSize}},{},"Failed to retrieve UUID batch.").then(function(e){return t.uuidRequest=null,t.uuidCache=t.uuidCache.concat(e.uuids),t.uuidCache.length},function(e){throw t.uuidRequest=null,e})),this.uuidRequest},newUUID:function(e){var t=this.uuidCache.shift()||h();return this.uuidCache.length<this.uuidLowWater&&this.prefetchUUIDs(e).then(null,function(){}),t},request:function(t,n,r,o){var i=this.ajaxDefaults||{};return o=o||{},c(t,n,r,e.extend({},i,o,{headers:e.extend({},i.headers,o.headers)}))}};e.extend(e.couch,$,{ajaxDefaults:{},uuidCache:[],uuidRequest:null,server:function(t,n){return n=e.extend({},n),n.headers=e.extend({},n.headers),n.auth&&(n.headers.Authorization="Basic "+O(n.auth.name+":"+n.auth.password),delete n.auth),e.extend({},$,{urlPrefix:(t||"").replace(/\/$/,""),ajaxDefaults:n,uuidCache:[],uuidRequest:null})},encodeDocId:t,CouchError:n,ConflictError:B,NotFoundError:G,UnauthorizedError:M,ForbiddenError:H,NetworkError:F,checkpointStores:{local:{get:function(e,t){return e.openDoc(i(t)).then(function(e){return e.last_seq},s)},set:function(e,t,n){var r=i(t);return e.openDoc(r).then(null,function(e){if(e instanceof G)return{_id:r};throw e}).then(function(t){return t.last_seq=n,e.saveDoc(t)})},remove:function(e,t){return e.openDoc(i(t)).then(function(t){return e.removeDoc(t)},s)}},localStorage:{get:function(e,t){var n=window.localStorage.getItem(i(t,e));return null===n?void 0:JSON.parse(n)},set:function(e,t,n){window.localStorage.setItem(i(t,e),J(n))},remove:function(e,t){window.localStorage.removeItem(i(t,e))}}}}),_.prototype.catch=function(e){return this.then(null,e)};var V=window.Promise||_,X="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/"}(Zepto);
@@ -44,22 +44,108 @@
    */
   function encodeDocId(docID) {
     var parts = docID.split("/");
-    if (parts[0] == "_design") {
-      parts.shift();
-      return "_design/" + encodeURIComponent(parts.join('/'));
+    if (parts[0] == "_design" || parts[0] == "_local") {
+      var prefix = parts.shift();
+      return prefix + "/" + encodeURIComponent(parts.join('/'));
     }
     return encodeURIComponent(docID);
   }
 
+  /**
+   * @class
+   * The error requests are rejected with (and which is passed as the last
+   * argument to <code>error</code> callbacks) when CouchDB could not be
+   * reached or responded with an unexpected status.
+   * <pre><code>$.couch.db("mydatabase").saveDoc(doc).then(null, function(err) {
+   *  if (err instanceof $.couch.ConflictError) {
+   *    ... fetch the latest revision and try again ...
+   *  }
+   *});
+   * </code></pre>
+   * @param {Number} status HTTP status of the response, 0 if there was none
+   * @param {String} error CouchDB error name, for example "not_found"
+   * @param {String} reason CouchDB explanation of the error
+   * @param {Object} [request] details of the failed request: its
+   * <code>method</code>, <code>url</code>, <code>duration</code>, parsed
+   * <code>response</code> and <code>xhr</code>
+   */
+  function CouchError(status, error, reason, request) {
+    request = request || {};
+    this.status = status;
+    this.error = error;
+    this.reason = reason;
+    this.message = error + ": " + reason;
+    this.method = request.method;
+    this.url = request.url;
+    this.duration = request.duration;
+    this.response = request.response;
+    this.xhr = request.xhr;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    } else {
+      this.stack = (new Error(this.message)).stack;
+    }
+  }
+
   /**
    * @private
    */
+  function errorClass(name, parent) {
+    function F() {}
+    F.prototype = parent.prototype;
+    var ErrorClass = function() {
+      parent.apply(this, arguments);
+    };
+    ErrorClass.prototype = new F();
+    ErrorClass.prototype.constructor = ErrorClass;
+    ErrorClass.prototype.name = name;
+    return ErrorClass;
+  }
+
+  CouchError.prototype = new Error();
+  CouchError.prototype.constructor = CouchError;
+  CouchError.prototype.name = "CouchError";
 
-  var uuidCache = [];
+  var ConflictError = errorClass("ConflictError", CouchError),
+    NotFoundError = errorClass("NotFoundError", CouchError),
+    UnauthorizedError = errorClass("UnauthorizedError", CouchError),
+    ForbiddenError = errorClass("ForbiddenError", CouchError),
+    NetworkError = errorClass("NetworkError", CouchError);
 
-  $.extend($.couch, {
+  /**
+   * @private
+   */
+  // Creates the CouchError subclass matching the response status.
+  function couchError(status, error, reason, request) {
+    var ErrorClass = {
+      0: NetworkError,
+      401: UnauthorizedError,
+      403: ForbiddenError,
+      404: NotFoundError,
+      409: ConflictError
+    }[status] || CouchError;
+    return new ErrorClass(status, error, reason, request);
+  }
+
+  /**
+   * @private
+   */
+  // The server API, shared by $.couch and the servers $.couch.server()
+  // creates. Each server also carries its own ajaxDefaults and UUID cache.
+  var serverAPI = {
     urlPrefix: 'http://.touchdb.',
 
+    /**
+     * Number of UUIDs fetched from the server at a time by uuid()
+     */
+    uuidBatchSize: 100,
+
+    /**
+     * When fewer than this many UUIDs are left in the cache another batch is
+     * prefetched in the background
+     */
+    uuidLowWater: 10,
+
     /**
      * You can obtain a list of active tasks by using the /_active_tasks URL.
      * The result is a JSON array of the currently running tasks, with each task
@@ -71,7 +157,7 @@
      * Zepto.js ajax settings</a>
      */
     activeTasks: function(options) {
-      ajax(
+      return this.request(
         {url: this.urlPrefix + "/_active_tasks"},
         options,
         "Active task status could not be retrieved"
@@ -87,7 +173,7 @@
      * Zepto.js ajax settings</a>
      */
     allDbs: function(options) {
-      ajax(
+      return this.request(
         {url: this.urlPrefix + "/_all_dbs"},
         options,
         "An error occurred retrieving the list of all databases"
@@ -107,26 +193,91 @@
      */
     db: function(name, db_opts) {
       db_opts = db_opts || {};
-      var rawDocs = {};
+      var server = this, rawDocs = {};
       function maybeApplyVersion(doc) {
         if (doc._id && doc._rev && rawDocs[doc._id] &&
             rawDocs[doc._id].rev == doc._rev) {
-          // todo: can we use commonjs require here?
-          if (typeof Base64 == "undefined") {
-            throw 'Base64 support not found.';
-          } else {
-            doc._attachments = doc._attachments || {};
-            doc._attachments["rev-"+doc._rev.split("-")[0]] = {
-              content_type :"application/json",
-              data : Base64.encode(rawDocs[doc._id].raw)
-            };
-            return true;
+          var limit = db_opts.attachPrevRevLimit, revs, i;
+          doc._attachments = doc._attachments || {};
+          doc._attachments["rev-"+doc._rev.split("-")[0]] = {
+            content_type :"application/json",
+            data : base64Encode(rawDocs[doc._id].raw)
+          };
+          if (limit) {
+            revs = prevRevNumbers(doc);
+            for (i = limit; i < revs.length; i++) {
+              delete doc._attachments["rev-" + revs[i]];
+            }
           }
+          return true;
         }
       };
+      function tempDesignDocQuery(db, body, query, cache) {
+        var name = "zepto.couch.temp." + hashString(toJSON(body)),
+          url = db.uri + "_design/" + encodeURIComponent(name), rev;
+        function cleanUp() {
+          if (!rev || cache) return resolved();
+          return server.request({
+              type: "DELETE", url: url + encodeOptions({rev: rev})
+            },
+            {},
+            "The temporary view could not be deleted"
+          ).then(null, function() {});
+        }
+        return server.request({
+            type: "PUT", url: url,
+            data: toJSON({
+              language: body.language,
+              views: {temp: {map: body.map, reduce: body.reduce}}
+            })
+          },
+          {successStatus: [201, 202]},
+          "The temporary view could not be created"
+        ).then(function(resp) {
+          rev = resp.rev;
+        }, function(err) {
+          // left there by an earlier query with cacheTempView
+          if (!(err instanceof ConflictError)) throw err;
+        }).then(function() {
+          return server.request({
+              url: url + "/_view/temp" + encodeOptions(query)
+            },
+            {},
+            "An error occurred querying the database"
+          );
+        }).then(function(resp) {
+          return cleanUp().then(function() {
+            return resp;
+          });
+        }, function(err) {
+          return cleanUp().then(function() {
+            throw err;
+          });
+        });
+      }
+      function openMultipart(db, docId, options) {
+        var query = $.extend({}, options, {attachments: true});
+        delete query.multipart;
+        delete query.attachPrevRev;
+        return settle(binaryGet(server,
+            db.uri + encodeDocId(docId) + encodeOptions(query),
+            "The document could not be retrieved", "arraybuffer",
+            "multipart/mixed, multipart/related, application/json")
+          .then(function(xhr) {
+            var result = readMultipart(new Uint8Array(xhr.response),
+                                       xhr.getResponseHeader("Content-Type")),
+              doc = result.doc;
+            if (doc && doc._rev && (db_opts.attachPrevRev ||
+                options.attachPrevRev || doc["zepto.couch.attachPrevRev"])) {
+              rawDocs[doc._id] = {rev : doc._rev, raw : result.raw};
+            }
+            return result.value;
+          }), options);
+      }
       return /** @lends $.couch.db */{
         name: name,
-        uri: this.urlPrefix + "/" + encodeURIComponent(name) + "/",
+        uri: server.urlPrefix + "/" + encodeURIComponent(name) + "/",
+        server: server,
 
         /**
          * Request compaction of the specified database.
@@ -138,8 +289,9 @@
          * Zepto.js ajax settings</a>
          */
         compact: function(options) {
+          options = options || {};
           $.extend(options, {successStatus: 202});
-          ajax({
+          return server.request({
               type: "POST", url: this.uri + "_compact",
               data: "", processData: false
             },
@@ -157,8 +309,9 @@
          * Zepto.js ajax settings</a>
          */
         viewCleanup: function(options) {
+          options = options || {};
           $.extend(options, {successStatus: 202});
-          ajax({
+          return server.request({
               type: "POST", url: this.uri + "_view_cleanup",
               data: "", processData: false
             },
@@ -180,8 +333,9 @@
          * Zepto.js ajax settings</a>
          */
         compactView: function(groupname, options) {
+          options = options || {};
           $.extend(options, {successStatus: 202});
-          ajax({
+          return server.request({
               type: "POST", url: this.uri + "_compact/" + groupname,
               data: "", processData: false
             },
@@ -199,8 +353,9 @@
          * Zepto.js ajax settings</a>
          */
         create: function(options) {
+          options = options || {};
           $.extend(options, {successStatus: 201});
-          ajax({
+          return server.request({
               type: "PUT", url: this.uri, contentType: "application/json",
               data: "", processData: false
             },
@@ -219,7 +374,7 @@
          * Zepto.js ajax settings</a>
          */
         drop: function(options) {
-          ajax(
+          return server.request(
             {type: "DELETE", url: this.uri},
             options,
             "The database could not be deleted"
@@ -235,7 +390,7 @@
          * Zepto.js ajax settings</a>
          */
         info: function(options) {
-          ajax(
+          return server.request(
             {url: this.uri},
             options,
             "Database information could not be retrieved"
@@ -245,21 +400,76 @@
         /**
          * @namespace
          * $.couch.db.changes provides an API for subscribing to the changes
-         * feed
-         * <pre><code>var $changes = $.couch.db("mydatabase").changes();
-         *$changes.onChange = function (data) {
+         * feed. The <code>feed</code> option picks how changes are fetched:
+         * "longpoll" (the default) makes a new request after every batch,
+         * "continuous" streams changes over a single request, "eventsource"
+         * uses the browser's EventSource (falling back to "longpoll" where
+         * there is none), and "normal" fetches the changes since
+         * <code>since</code> once, a page of <code>limit</code> at a time if
+         * a limit is given. Listeners receive responses in the form of a
+         * longpoll batch, <code>{results: [...], last_seq: ...}</code>, the
+         * streaming feeds deliver one change per batch.
+         * Giving the listener a name with the <code>checkpoint</code> option
+         * saves the last sequence it has seen, and a listener started later
+         * under the same name without a <code>since</code> carries on from
+         * there, so changes made while the app was closed aren't missed.
+         * Checkpoints are kept in a _local document in the database unless
+         * <code>checkpointStore</code> picks another of the
+         * $.couch.checkpointStores, or is a store object itself.
+         * Besides the batch listeners added with onChange, listeners can be
+         * called for each changed document (onDocChange), each deletion
+         * (onDelete) or each document left with conflicting revisions
+         * (onConflict). The changes can be narrowed with a
+         * <code>filter</code>, either the "ddoc/filter" name of a filter
+         * function on the server or a function(change) run on the client,
+         * a list of <code>doc_ids</code>, a <code>view</code> whose map
+         * function decides, or a Mango <code>selector</code>.
+         * Failed requests are retried after a delay that doubles each time,
+         * with some jitter, up to <code>maxBackoff</code> milliseconds. After
+         * <code>maxRetries</code> failures in a row, or while the browser is
+         * offline, the feed pauses until resume() is called or the browser
+         * comes back online. The <code>state</code> of the returned object
+         * and its onError, onPause and onReconnect listeners tell whether the
+         * feed is up.
+         * <pre><code>var $changes = $.couch.db("mydatabase").changes(null, {
+         *  feed: "continuous"
+         *});
+         *$changes.onChange(function (data) {
          *    ... process data ...
-         * }
+         * });
          * $changes.stop();
          * </code></pre>
+         * @param {String} [since] Sequence to start from, the database's
+         * current update sequence when left out
+         * @param {Object} [options] Query options for /db/_changes, such as
+         * <code>include_docs</code>, plus <code>feed</code>,
+         * <code>checkpoint</code>, <code>checkpointStore</code>,
+         * <code>filter</code>, <code>doc_ids</code>, <code>view</code>,
+         * <code>selector</code>, <code>maxBackoff</code> and
+         * <code>maxRetries</code>
          */
         changes: function(since, options) {
 
-          options = options || {};
+          options = $.extend({}, options);
           // set up the promise object within a closure for this handler
-          var timeout = 100, db = this, active = true,
-            listeners = [],
+          var timeout = 100, db = this, active = true, source,
+            failures = 0, down = false, paused = null, retryTimer,
+            maxBackoff = options.maxBackoff || 60 * 1000,
+            maxRetries = options.maxRetries,
+            feed = options.feed || "longpoll",
+            checkpoint = options.checkpoint, saving, unsaved,
+            store = checkpointStore(options.checkpointStore),
+            clientFilter, body,
+            listeners = [], docListeners = [], deleteListeners = [],
+            conflictListeners = [], errorListeners = [],
+            reconnectListeners = [], pauseListeners = [],
             promise = /** @lends $.couch.db.changes */ {
+              /**
+               * Where the feed is at: "connecting", "connected", "retrying"
+               * after a failed request, "paused", "stopped", or "done" once
+               * a "normal" feed read all the changes
+               */
+            state : "connecting",
               /**
                * Add a listener callback
                * @see <a href="http://techzone.couchbase.com/sites/default/
@@ -270,62 +480,395 @@
                */
             onChange : function(fun) {
               listeners.push(fun);
+            },
+              /**
+               * Add a listener called with each changed row, including its
+               * <code>doc</code> when the <code>include_docs</code> option
+               * is set.
+               * @param {Function} fun Callback function to run for each
+               * changed document
+               */
+            onDocChange : function(fun) {
+              docListeners.push(fun);
+            },
+              /**
+               * Add a listener called with the row of each deleted document
+               * @param {Function} fun Callback function to run for each
+               * deletion
+               */
+            onDelete : function(fun) {
+              deleteListeners.push(fun);
+            },
+              /**
+               * Add a listener called with the row of each changed document
+               * that has live conflicting revisions, which are found by
+               * fetching the documents with <code>conflicts=true</code>
+               * @param {Function} fun Callback function to run for each
+               * conflicted document
+               */
+            onConflict : function(fun) {
+              conflictListeners.push(fun);
+            },
+              /**
+               * Add a listener called with the CouchError and the number of
+               * failures in a row each time a request for changes fails
+               * @param {Function} fun Callback function to run on errors
+               */
+            onError : function(fun) {
+              errorListeners.push(fun);
+            },
+              /**
+               * Add a listener called when changes arrive again after the
+               * feed failed or was paused
+               * @param {Function} fun Callback function to run on reconnect
+               */
+            onReconnect : function(fun) {
+              reconnectListeners.push(fun);
+            },
+              /**
+               * Add a listener called when the feed pauses, with "offline"
+               * when the browser went offline or "retries" when it gave up
+               * after <code>maxRetries</code> failures
+               * @param {Function} fun Callback function to run on pause
+               */
+            onPause : function(fun) {
+              pauseListeners.push(fun);
+            },
+              /**
+               * Start a paused feed again
+               */
+            resume : function() {
+              if (!active || !paused) return;
+              paused = null;
+              timeout = 100;
+              failures = 0;
+              promise.state = "connecting";
+              getChangesSince();
             },
               /**
                * Stop subscribing to the changes feed
                */
             stop : function() {
-              active = false;
+              finish("stopped");
             }
           };
+          delete options.checkpoint;
+          delete options.checkpointStore;
+          delete options.maxBackoff;
+          delete options.maxRetries;
+          if ($.isFunction(options.filter)) {
+            clientFilter = options.filter;
+            delete options.filter;
+          }
+          // doc_ids and selector filters are sent in the body of a POST
+          if (options.doc_ids) {
+            body = {doc_ids: options.doc_ids};
+            options.filter = "_doc_ids";
+            delete options.doc_ids;
+          } else if (options.selector) {
+            body = {selector: options.selector};
+            options.filter = "_selector";
+            delete options.selector;
+          } else if (options.view) {
+            options.filter = "_view";
+          }
+          // only the winning revision knows which of the other leaves are
+          // live conflicts rather than deleted ones
+          function isConflicted(row) {
+            var conflicts = row.doc && row.doc._conflicts;
+            return !!conflicts && conflicts.length > 0;
+          }
           // call each listener when there is a change
           function triggerListeners(resp) {
-            $.each(listeners, function() {
-              this(resp);
-            });
+            var results = resp.results || [];
+            if (clientFilter) {
+              results = $.grep(results, function(row) {
+                return clientFilter(row);
+              });
+              if (resp.results.length && !results.length) results = null;
+              resp = $.extend({}, resp, {results: results});
+            }
+            if (results) {
+              var conflicted = $.map(results, function(row) {
+                var found = isConflicted(row);
+                // the documents were only fetched to look for conflicts
+                if (!options.include_docs) delete row.doc;
+                return found;
+              });
+              $.each(listeners, function() {
+                this(resp);
+              });
+              $.each(results, function(i, row) {
+                callEach(promise, docListeners, row);
+                if (row.deleted) callEach(promise, deleteListeners, row);
+                if (conflicted[i]) callEach(promise, conflictListeners, row);
+              });
+            }
+            if (checkpoint) saveCheckpoint();
           };
+          // remember how far this listener got, one save at a time
+          function saveCheckpoint() {
+            if (saving) {
+              unsaved = true;
+              return;
+            }
+            saving = true;
+            function saved() {
+              saving = false;
+              if (unsaved) {
+                unsaved = false;
+                saveCheckpoint();
+              }
+            }
+            resolved(store.set(db, checkpoint, since)).then(saved, saved);
+          }
+          // deliver a single change from a streaming feed
+          function triggerChange(change) {
+            since = change.seq;
+            triggerListeners({results: [change], last_seq: change.seq});
+          }
+          // stop listening for good
+          function finish(state) {
+            active = false;
+            promise.state = state;
+            clearTimeout(retryTimer);
+            closeSource();
+            if (window.removeEventListener) {
+              window.removeEventListener("online", promise.resume, false);
+              window.removeEventListener("offline", goneOffline, false);
+            }
+          }
+          function closeSource() {
+            if (source) {
+              if (source.abort) {
+                source.abort();
+              } else {
+                source.close();
+              }
+              source = null;
+            }
+          }
+          // a request got through, so any trouble is over
+          function connected() {
+            timeout = 100;
+            failures = 0;
+            promise.state = "connected";
+            if (down) {
+              down = false;
+              callEach(promise, reconnectListeners);
+            }
+          }
+          function pause(reason) {
+            paused = reason;
+            down = true;
+            promise.state = "paused";
+            clearTimeout(retryTimer);
+            closeSource();
+            callEach(promise, pauseListeners, reason);
+          }
+          function goneOffline() {
+            if (active && !paused) pause("offline");
+          }
+          // report a failed request, returning false once it's time to
+          // give up
+          function fail(err) {
+            if (!active || paused) return false;
+            failures++;
+            down = true;
+            promise.state = "retrying";
+            callEach(promise, errorListeners, err, failures);
+            if (maxRetries !== undefined && failures > maxRetries) {
+              pause("retries");
+              return false;
+            }
+            return true;
+          }
+          // try again later, waiting about twice as long after each failure
+          function retry(err) {
+            if (fail(err)) {
+              var delay = Math.min(timeout, maxBackoff);
+              retryTimer = setTimeout(getChangesSince,
+                                      delay / 2 + Math.random() * delay / 2);
+              timeout = timeout * 2;
+            }
+          }
+          function streamError(xhr) {
+            var resp = {};
+            try {
+              resp = JSON.parse(xhr.responseText);
+            } catch(e) {}
+            if (!xhr.status) {
+              return couchError(0, "network_error",
+                                "The server could not be reached");
+            }
+            return couchError(xhr.status, resp.error || "changes_error",
+                              resp.reason || xhr.statusText);
+          }
+          function changesUrl(feed) {
+            var opts = $.extend({heartbeat : 10 * 1000}, options, {
+              feed : feed,
+              since : since
+            });
+            // the documents' _conflicts are needed to spot conflicts
+            if (conflictListeners.length) {
+              opts.include_docs = true;
+              opts.conflicts = true;
+            }
+            return db.uri + "_changes" + encodeOptions(opts);
+          }
           // when there is a change, call any listeners, then check for
           // another change
           options.success = function(resp) {
-            timeout = 100;
             if (active) {
+              connected();
               since = resp.last_seq;
               triggerListeners(resp);
-              getChangesSince();
+              if (feed != "normal" ||
+                  options.limit && resp.results.length >= options.limit) {
+                getChangesSince();
+              } else {
+                finish("done");
+              }
             };
           };
-          options.error = function() {
-            if (active) {
-              setTimeout(getChangesSince, timeout);
-              timeout = timeout * 2;
-            }
+          options.error = function(status, error, reason, duration, err) {
+            retry(err);
           };
-          // actually make the changes request
-          function getChangesSince() {
-            var opts = $.extend({heartbeat : 10 * 1000}, options, {
-              feed : "longpoll",
-              since : since
-            });
-            ajax(
-              {url: db.uri + "_changes"+encodeOptions(opts)},
+          // make a request for the next batch of changes
+          function pollChanges() {
+            server.request({
+                type: body ? "POST" : "GET",
+                url: changesUrl(feed),
+                data: body && toJSON(body)
+              },
               options,
-              "Error connecting to "+db.uri+"/_changes."
+              "Error connecting to "+db.uri+"/_changes.",
+              {xhr: function() {
+                return source = new XMLHttpRequest();
+              }}
             );
           }
-          // start the first request
-          if (since) {
-            getChangesSince();
-          } else {
-            db.info({
-              success : function(info) {
-                since = info.update_seq;
+          // read changes as newline separated JSON from a single request,
+          // reconnecting when the server ends it
+          function streamChanges() {
+            var xhr = source = new XMLHttpRequest(), offset = 0,
+              headers = requestHeaders(server);
+            function read() {
+              var text = xhr.responseText || "", end, line, change;
+              while ((end = text.indexOf("\n", offset)) >= 0) {
+                line = text.slice(offset, end);
+                offset = end + 1;
+                // blank lines are heartbeats
+                if (!active || !/\S/.test(line)) continue;
+                try {
+                  change = JSON.parse(line);
+                } catch(e) {
+                  continue;
+                }
+                if (change.last_seq !== undefined) {
+                  since = change.last_seq;
+                } else {
+                  triggerChange(change);
+                }
+              }
+            }
+            xhr.onprogress = read;
+            xhr.onreadystatechange = function() {
+              if (xhr.readyState < 3 || xhr.status != 200) {
+                if (xhr.readyState == 4 && source == xhr) {
+                  retry(streamError(xhr));
+                }
+                return;
+              }
+              if (promise.state != "connected") connected();
+              read();
+              if (xhr.readyState == 4 && source == xhr) getChangesSince();
+            };
+            xhr.open(body ? "POST" : "GET", changesUrl("continuous"), true);
+            if (body) headers["Content-Type"] = "application/json";
+            for (var header in headers) {
+              xhr.setRequestHeader(header, headers[header]);
+            }
+            xhr.send(body ? toJSON(body) : null);
+          }
+          // listen for changes with an EventSource, which reconnects by
+          // itself after network errors, resuming from the last event id
+          function listenChanges() {
+            var events = source = new EventSource(changesUrl("eventsource"));
+            events.onopen = connected;
+            events.onmessage = function(event) {
+              if (active) triggerChange(JSON.parse(event.data));
+            };
+            events.onerror = function() {
+              if (source != events) return;
+              var err = couchError(0, "network_error",
+                                   "The changes feed was disconnected");
+              // unless it was closed the EventSource reconnects by itself
+              if (events.readyState == 2) {
+                retry(err);
+              } else if (!fail(err)) {
+                closeSource();
+              }
+            };
+          }
+          // actually make the changes request
+          function getChangesSince() {
+            if (!active || paused) return;
+            if (since === undefined || since === null) {
+              findStart();
+            } else if (feed == "continuous") {
+              streamChanges();
+            } else if (feed == "eventsource" && window.EventSource && !body) {
+              // an EventSource can't send a request body
+              listenChanges();
+            } else {
+              if (feed == "eventsource") feed = "longpoll";
+              pollChanges();
+            }
+          }
+          // start from the listener's checkpoint if it has one, otherwise
+          // from the current update sequence
+          function findStart() {
+            var ready = checkpoint ? store.get(db, checkpoint) : null;
+            resolved(ready).then(null, function() {}).then(function(seq) {
+              if (seq !== undefined && seq !== null) {
+                since = seq;
                 getChangesSince();
+              } else {
+                db.info().then(function(info) {
+                  since = info.update_seq;
+                  getChangesSince();
+                }, retry);
               }
             });
           }
+          if (window.addEventListener) {
+            window.addEventListener("online", promise.resume, false);
+            window.addEventListener("offline", goneOffline, false);
+          }
+          // start the first request once the caller added its listeners
+          if (window.navigator && navigator.onLine === false) {
+            paused = "offline";
+            down = true;
+            promise.state = "paused";
+          } else {
+            retryTimer = setTimeout(getChangesSince, 0);
+          }
           return promise;
         },
 
+        /**
+         * Forget the sequence saved by a changes listener started with the
+         * <code>checkpoint</code> option, so that the next listener under
+         * that name starts from the current update sequence.
+         * @param {String} name The listener's <code>checkpoint</code> name
+         * @param {String|Object} [store] The listener's
+         * <code>checkpointStore</code>
+         */
+        resetCheckpoint: function(name, store) {
+          return resolved(checkpointStore(store).remove(this, name));
+        },
+
         /**
          * Fetch all the docs in this db, you can specify an array of keys to
          * fetch by passing the <code>keys</code> field in the
@@ -338,6 +881,7 @@
          * Zepto.js ajax settings</a>
          */
         allDocs: function(options) {
+          options = options || {};
           var type = "GET";
           var data = null;
           if (options["keys"]) {
@@ -346,7 +890,7 @@
             delete options["keys"];
             data = toJSON({ "keys": keys });
           }
-          ajax({
+          return server.request({
               type: type,
               data: data,
               url: this.uri + "_all_docs" + encodeOptions(options)
@@ -362,7 +906,7 @@
          * Zepto.js ajax settings</a>
          */
         allDesignDocs: function(options) {
-          this.allDocs($.extend(
+          return this.allDocs($.extend(
             {startkey:"_design", endkey:"_design0"}, options));
         },
 
@@ -377,7 +921,7 @@
           options = options || {};
           var self = this;
           if (options.eachApp) {
-            this.allDesignDocs({
+            return this.allDesignDocs({
               success: function(resp) {
                 $.each(resp.rows, function() {
                   self.openDoc(this.id, {
@@ -404,7 +948,10 @@
         },
 
         /**
-         * Returns the specified doc from the specified db.
+         * Returns the specified doc from the specified db. With the
+         * <code>multipart</code> option the doc is read together with its
+         * attachments as a multipart response, and each attachment's
+         * <code>data</code> is a Blob (an ArrayBuffer where there is no Blob).
          * @see <a href="http://techzone.couchbase.com/sites/default/files/
          * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
          * dbdoc_db-doc_get">docs for GET /db/doc</a>
@@ -416,6 +963,7 @@
          */
         openDoc: function(docId, options, ajaxOptions) {
           options = options || {};
+          if (options.multipart) return openMultipart(this, docId, options);
           if (db_opts.attachPrevRev || options.attachPrevRev) {
             $.extend(options, {
               beforeSuccess : function(req, doc) {
@@ -437,19 +985,88 @@
               }
             });
           }
-          ajax({url: this.uri + encodeDocId(docId) + encodeOptions(options)},
+          return server.request({
+              url: this.uri + encodeDocId(docId) + encodeOptions(options)
+            },
             options,
             "The document could not be retrieved",
             ajaxOptions
           );
         },
 
+        /**
+         * Returns a specific revision of a document.
+         * @param {String} docId id of document to fetch
+         * @param {String} rev revision to fetch
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        openRevision: function(docId, rev, options) {
+          return this.openDoc(docId, $.extend({}, options, {rev: rev}));
+        },
+
+        /**
+         * Lists the revisions of a document the database knows of, newest
+         * first, as objects with a <code>rev</code> and a
+         * <code>status</code> of "available", "missing" (compacted away) or
+         * "deleted".
+         * @see <a href="http://techzone.couchbase.com/sites/default/files/
+         * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
+         * dbdoc_db-doc_get">docs for GET /db/doc</a>
+         * @param {String} docId id of the document
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        listRevisions: function(docId, options) {
+          options = options || {};
+          var query = $.extend({}, options, {revs_info: true});
+          delete query.success;
+          delete query.error;
+          return settle(this.openDoc(docId, query).then(function(doc) {
+            return doc._revs_info;
+          }), options);
+        },
+
+        /**
+         * Returns every leaf revision of a document: the winning revision,
+         * its conflicts and any deleted branches.
+         * @see <a href="http://techzone.couchbase.com/sites/default/files/
+         * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
+         * dbdoc_db-doc_get">docs for GET /db/doc</a>
+         * @param {String} docId id of the document
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        openAllLeaves: function(docId, options) {
+          options = options || {};
+          var query = $.extend({}, options, {open_revs: "all"});
+          delete query.success;
+          delete query.error;
+          return settle(this.openDoc(docId, query).then(function(revs) {
+            return $.map(revs, function(rev) {
+              return rev.ok;
+            });
+          }), options);
+        },
+
         /**
          * Create a new document in the specified database, using the supplied
          * JSON document structure. If the JSON structure includes the _id
          * field, then the document will be created with the specified document
-         * ID. If the _id field is not specified, a new unique ID will be
-         * generated.
+         * ID. If the _id field is not specified, a new unique ID is taken
+         * from server.uuid() and assigned to the document before it is
+         * saved. Attachments whose <code>data</code> is a Blob or an
+         * ArrayBuffer are sent along with the document as a multipart/related
+         * request instead of being Base64 encoded, and are replaced by stubs
+         * once saved.
+         * <p>When the document was changed on the server in the meantime, the
+         * <code>conflict</code> option (which can also be given to
+         * $.couch.db) decides what happens: "client" saves the document
+         * again over the newer revision, "server" discards the local changes
+         * and replaces the document's contents with the server's, and a
+         * function(local, remote) returns the merged document to save. A
+         * conflict is retried at most <code>conflictRetries</code> times
+         * (3 by default) before it is reported as an error.</p>
          * @see <a href="http://techzone.couchbase.com/sites/default/files/
          * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
          * dbdoc_db_post">docs for GET /db/doc</a>
@@ -461,42 +1078,157 @@
           options = options || {};
           var db = this;
           var beforeSend = fullCommit(options);
-          if (doc._id === undefined) {
-            var method = "POST";
-            var uri = this.uri;
-          } else {
-            var method = "PUT";
-            var uri = this.uri + encodeDocId(doc._id);
-          }
-          var versioned = maybeApplyVersion(doc);
-          $.ajax({
-            type: method, url: uri + encodeOptions(options),
-            contentType: "application/json",
-            dataType: "json", data: toJSON(doc),
-            beforeSend : beforeSend,
-            complete: function(req) {
-              var resp = JSON.parse(req.responseText);
-              if (req.status == 200 || req.status == 201 || req.status == 202) {
-                doc._id = resp.id;
-                doc._rev = resp.rev;
-                if (versioned) {
-                  db.openDoc(doc._id, {
-                    attachPrevRev : true,
-                    success : function(d) {
-                      doc._attachments = d._attachments;
-                      if (options.success) options.success(resp);
-                    }
+          var ready = doc._id === undefined ? server.uuid() : resolved(doc._id);
+          var strategy = options.conflict || db_opts.conflict;
+          var retries = options.conflictRetries !== undefined ?
+            options.conflictRetries : db_opts.conflictRetries !== undefined ?
+            db_opts.conflictRetries : 3;
+          var query = $.extend({}, options);
+          delete query.conflict;
+          delete query.conflictRetries;
+          function save() {
+            var versioned = maybeApplyVersion(doc),
+              multipart = multipartBody(doc);
+            return server.request({
+                type: "PUT",
+                url: db.uri + encodeDocId(doc._id) + encodeOptions(query),
+                data: multipart ? multipart.body : toJSON(doc),
+                processData: !multipart, beforeSend : beforeSend
+              },
+              {successStatus: [200, 201, 202]},
+              "The document could not be saved",
+              multipart ? {contentType: multipart.contentType} : undefined
+            ).then(function(resp) {
+              doc._rev = resp.rev;
+              if (multipart) {
+                $.each(multipart.stubs, function(name, stub) {
+                  stub.revpos = parseInt(resp.rev, 10);
+                  doc._attachments[name] = stub;
+                });
+              }
+              if (versioned) {
+                return db.openDoc(doc._id, {attachPrevRev : true})
+                  .then(function(d) {
+                    doc._attachments = d._attachments;
+                    return resp;
                   });
-                } else {
-                  if (options.success) options.success(resp);
-                }
-              } else if (options.error) {
-                options.error(req.status, resp.error, resp.reason);
-              } else {
-                throw "The document could not be saved: " + resp.reason;
               }
-            }
-          });
+              return resp;
+            }, function(err) {
+              if (!(err instanceof ConflictError) || !strategy ||
+                  retries-- <= 0) {
+                throw err;
+              }
+              return db.openDoc(doc._id).then(function(remote) {
+                if (strategy == "client") {
+                  doc._rev = remote._rev;
+                  return save();
+                } else if (strategy == "server") {
+                  replaceContents(doc, remote);
+                  return {ok: true, id: remote._id, rev: remote._rev,
+                          discarded: true};
+                }
+                return resolved(strategy(doc, remote)).then(function(merged) {
+                  replaceContents(doc, merged);
+                  doc._id = remote._id;
+                  doc._rev = remote._rev;
+                  return save();
+                });
+              });
+            });
+          }
+          return settle(ready.then(function(id) {
+            doc._id = id;
+            return save();
+          }), options);
+        },
+
+        /**
+         * Change part of a document without reading it first. The patch is
+         * either an <a href="http://tools.ietf.org/html/rfc6902">RFC 6902
+         * JSON Patch</a> (an array of operations) or an
+         * <a href="http://tools.ietf.org/html/rfc7396">RFC 7396 merge
+         * patch</a> (an object), and is applied to the latest revision. If
+         * the document changes before it is saved the patch is applied again,
+         * at most <code>conflictRetries</code> times (3 by default). Resolves
+         * with the saved document.
+         * @param {String} docId id of the document
+         * @param {Object[]|Object} patch JSON Patch or merge patch
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        patchDoc: function(docId, patch, options) {
+          options = options || {};
+          var db = this,
+            retries = options.conflictRetries !== undefined ?
+              options.conflictRetries : 3;
+          function attempt() {
+            return db.openDoc(docId).then(function(doc) {
+              var patched = $.isArray(patch) ? jsonPatch(doc, patch)
+                : mergePatch(JSON.parse(toJSON(doc)), patch);
+              patched._id = doc._id;
+              patched._rev = doc._rev;
+              return db.saveDoc(patched, {conflictRetries: 0})
+                .then(function() {
+                  return patched;
+                }, function(err) {
+                  if (err instanceof ConflictError && retries-- > 0) {
+                    return attempt();
+                  }
+                  throw err;
+                });
+            });
+          }
+          return settle(attempt(), options);
+        },
+
+        /**
+         * Resolve the conflicts of a document. The winning revision and the
+         * conflicting ones are passed to <code>merger(winner, losers)</code>,
+         * which returns the document to save in place of the winner (or a
+         * promise of it), and the losing revisions are deleted in the same
+         * bulk request. Without a merger the winner is kept as it is.
+         * @see <a href="http://techzone.couchbase.com/sites/default/files/
+         * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
+         * dbdoc_db-doc_get">docs for GET /db/doc</a>
+         * @param {String} docId id of the document
+         * @param {Function} [merger] function(winner, losers) returning the
+         * merged document
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        resolveConflicts: function(docId, merger, options) {
+          if (typeof merger != "function") {
+            options = merger;
+            merger = null;
+          }
+          options = options || {};
+          var db = this, winner,
+            opened = db.openDoc(docId, {conflicts: true});
+          return settle(opened.then(function(doc) {
+            winner = doc;
+            if (!doc._conflicts) return [];
+            return db.openDoc(docId, {open_revs: toJSON(doc._conflicts)})
+              .then(function(revs) {
+                var losers = $.map(revs, function(rev) {
+                  return rev.ok;
+                });
+                delete winner._conflicts;
+                return resolved(merger ? merger(winner, losers) : winner)
+                  .then(function(merged) {
+                    var docs = $.map(losers, function(loser) {
+                      return {_id: loser._id, _rev: loser._rev,
+                              _deleted: true};
+                    });
+                    if (merger) {
+                      merged._id = winner._id;
+                      merged._rev = winner._rev;
+                      docs.unshift(merged);
+                    }
+                    return db.bulkSave({docs: docs});
+                  });
+              });
+          }), options);
         },
 
         /**
@@ -509,9 +1241,10 @@
          * Zepto.js ajax settings</a>
          */
         bulkSave: function(docs, options) {
+          options = options || {};
           var beforeSend = fullCommit(options);
           $.extend(options, {successStatus: 201, beforeSend : beforeSend});
-          ajax({
+          return server.request({
               type: "POST",
               url: this.uri + "_bulk_docs" + encodeOptions(options),
               contentType: "application/json", data: toJSON(docs)
@@ -521,6 +1254,78 @@
           );
         },
 
+        /**
+         * Find out which of the given revisions the database is missing.
+         * Resolves with an object mapping the ids of those documents to an
+         * object with their <code>missing</code> revisions.
+         * @see <a href="http://docs.couchdb.org/en/stable/api/database/
+         * misc.html#db-revs-diff">docs for POST /db/_revs_diff</a>
+         * @param {Object} revs object mapping document ids to arrays of
+         * revisions
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        revsDiff: function(revs, options) {
+          return server.request({
+              type: "POST", url: this.uri + "_revs_diff",
+              contentType: "application/json", data: toJSON(revs)
+            },
+            options,
+            "The missing revisions could not be retrieved"
+          );
+        },
+
+        /**
+         * Fetch several revisions of several documents at once. Resolves
+         * with an object whose <code>results</code> hold, for each document,
+         * its <code>id</code> and <code>docs</code>, each of which is
+         * either <code>{ok: doc}</code> or <code>{error: ...}</code>. Where
+         * the server has no <code>_bulk_get</code> endpoint the documents
+         * are fetched with <code>open_revs</code> one by one.
+         * @see <a href="http://docs.couchdb.org/en/stable/api/database/
+         * bulk-api.html#db-bulk-get">docs for POST /db/_bulk_get</a>
+         * @param {Object[]} docs objects with the <code>id</code> and the
+         * <code>rev</code> of each revision to fetch
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>, and the <code>revs</code>,
+         * <code>attachments</code> and <code>latest</code> query options
+         */
+        bulkGet: function(docs, options) {
+          options = options || {};
+          var db = this, query = {};
+          $.each(["revs", "attachments", "latest"], function(i, name) {
+            if (options[name] !== undefined) query[name] = options[name];
+          });
+          return settle(server.request({
+              type: "POST", url: db.uri + "_bulk_get" + encodeOptions(query),
+              contentType: "application/json", data: toJSON({docs: docs})
+            },
+            {},
+            "The documents could not be retrieved"
+          ).then(null, function(err) {
+            if ($.inArray(err.status, [400, 404, 405]) < 0) throw err;
+            var ids = [], revs = {};
+            $.each(docs, function(i, doc) {
+              if (!revs[doc.id]) ids.push(doc.id);
+              revs[doc.id] = (revs[doc.id] || []).concat([doc.rev]);
+            });
+            return all($.map(ids, function(id) {
+              return [db.openDoc(id, $.extend({
+                open_revs: toJSON(revs[id])
+              }, query)).then(function(found) {
+                return {id: id, docs: $.map(found, function(leaf) {
+                  return leaf.ok ? {ok: leaf.ok} : {error: {
+                    id: id, rev: leaf.missing,
+                    error: "not_found", reason: "missing"
+                  }};
+                })};
+              })];
+            })).then(function(results) {
+              return {results: results};
+            });
+          }), options);
+        },
+
         /**
          * Deletes the specified document from the database. You must supply
          * the current (latest) revision and <code>id</code> of the document
@@ -533,7 +1338,7 @@
          * Zepto.js ajax settings</a>
          */
         removeDoc: function(doc, options) {
-          ajax({
+          return server.request({
               type: "DELETE",
               url: this.uri +
                    encodeDocId(doc._id) +
@@ -559,8 +1364,9 @@
               doc._deleted = true;
             }
           );
+          options = options || {};
           $.extend(options, {successStatus: 201});
-          ajax({
+          return server.request({
               type: "POST",
               url: this.uri + "_bulk_docs" + encodeOptions(options),
               data: toJSON(docs)
@@ -583,19 +1389,9 @@
          * Zepto.js ajax settings</a>
          */
         copyDoc: function(docId, options, ajaxOptions) {
-          ajaxOptions = $.extend(ajaxOptions, {
-            complete: function(req) {
-              var resp = JSON.parse(req.responseText);
-              if (req.status == 201) {
-                if (options.success) options.success(resp);
-              } else if (options.error) {
-                options.error(req.status, resp.error, resp.reason);
-              } else {
-                throw "The document could not be copied: " + resp.reason;
-              }
-            }
-          });
-          ajax({
+          options = options || {};
+          $.extend(options, {successStatus: 201});
+          return server.request({
               type: "COPY",
               url: this.uri + encodeDocId(docId)
             },
@@ -607,7 +1403,11 @@
 
         /**
          * Creates (and executes) a temporary view based on the view function
-         * supplied in the JSON request.
+         * supplied in the JSON request. Where the server has no temporary
+         * views the functions are saved in a design document named after
+         * their hash, queried, and the design document is deleted again
+         * unless the <code>cacheTempView</code> option is set, in which case
+         * it is kept for the next query with the same functions.
          * @see <a href="http://techzone.couchbase.com/sites/default/files/
          * uploads/all/documentation/couchbase-api-db.html#couchbase-api-db
          * _db-temp-view_post">docs for /db/_temp_view</a>
@@ -619,26 +1419,31 @@
          * Zepto.js ajax settings</a>
          */
         query: function(mapFun, reduceFun, language, options) {
+          options = options || {};
           language = language || "javascript";
           if (typeof(mapFun) !== "string") {
-            mapFun = mapFun.toSource ? mapFun.toSource()
-              : "(" + mapFun.toString() + ")";
+            mapFun = functionSource(mapFun);
           }
           var body = {language: language, map: mapFun};
           if (reduceFun != null) {
             if (typeof(reduceFun) !== "string")
-              reduceFun = reduceFun.toSource ? reduceFun.toSource()
-                : "(" + reduceFun.toString() + ")";
+              reduceFun = functionSource(reduceFun);
             body.reduce = reduceFun;
           }
-          ajax({
+          var db = this, query = $.extend({}, options);
+          delete query.cacheTempView;
+          return settle(server.request({
               type: "POST",
-              url: this.uri + "_temp_view" + encodeOptions(options),
+              url: this.uri + "_temp_view" + encodeOptions(query),
               contentType: "application/json", data: toJSON(body)
             },
-            options,
+            {},
             "An error occurred querying the database"
-          );
+          ).then(null, function(err) {
+            // CouchDB 2.0 removed temporary views
+            if ($.inArray(err.status, [404, 405, 410]) < 0) throw err;
+            return tempDesignDocQuery(db, body, query, options.cacheTempView);
+          }), options);
         },
 
         /**
@@ -666,7 +1471,7 @@
             delete options['keys'];
             data = toJSON({'keys': keys });
           }
-          ajax({
+          return server.request({
               type: type,
               data: data,
               url: this.uri + '_design/' + list[0] +
@@ -700,7 +1505,7 @@
             delete options["keys"];
             data = toJSON({ "keys": keys });
           }
-          ajax({
+          return server.request({
               type: type,
               data: data,
               url: this.uri + "_design/" + name[0] +
@@ -711,25 +1516,421 @@
         },
 
         /**
-         * Fetch an arbitrary CouchDB database property
-         * @see <a href="http://techzone.couchbase.com/sites/default/files/
-         * uploads/all/documentation/couchbase-api.html">docs for /db/_prop</a>
-         * @param {String} propName Propery name to fetch
+         * Runs several queries of one view, or of "_all_docs", in a single
+         * request, and resolves with their results in the same order. Where
+         * the server has no <code>queries</code> endpoint the queries are
+         * sent as separate requests at the same time.
+         * @see <a href="http://docs.couchdb.org/en/stable/api/ddoc/views.html
+         * #db-design-design-doc-view-view-name-queries">docs for POST
+         * /db/_design/design-doc/_view/view-name/queries</a>
+         * @param {String} name View in the form of ddoc/view, or "_all_docs"
+         * @param {Object[]} queries CouchDB <a href="http://wiki.apache.org/
+         * couchdb/HTTP_view_API">View Options</a> of each query
          * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
          * Zepto.js ajax settings</a>
-         * @param {ajaxSettings} ajaxOptions <a href="http://zeptojs.com/#ajax">
-         * Zepto.js ajax settings</a>
          */
-        getDbProperty: function(propName, options, ajaxOptions) {
-          ajax({url: this.uri + propName + encodeOptions(options)},
-            options,
-            "The property could not be retrieved",
-            ajaxOptions
-          );
+        viewMulti: function(name, queries, options) {
+          options = options || {};
+          var db = this, parts = name.split('/'),
+            url = name == "_all_docs" ? db.uri + "_all_docs"
+              : db.uri + "_design/" + parts[0] + "/_view/" + parts[1];
+          return settle(server.request({
+              type: "POST", url: url + "/queries",
+              data: toJSON({queries: queries})
+            },
+            {},
+            "An error occurred accessing the view"
+          ).then(function(resp) {
+            return resp.results;
+          }, function(err) {
+            if ($.inArray(err.status, [400, 404, 405]) < 0) throw err;
+            return all($.map(queries, function(query) {
+              query = $.extend({}, query);
+              return [name == "_all_docs" ? db.allDocs(query)
+                      : db.view(name, query)];
+            }));
+          }), options);
         },
 
         /**
-         * Set an arbitrary CouchDB database property
+         * Pages through a view, or "_all_docs", without using
+         * <code>skip</code>: each page is fetched with one row more than the
+         * page size, and that row's <code>key</code> and <code>id</code>
+         * become the <code>startkey</code> and <code>startkey_docid</code>
+         * of the next page.
+         * <pre><code>var pager = $db.paginate("ddoc/by_date", {limit: 20});
+         *pager.next().then(function(rows) {
+         *  ... show rows, and a "next" link if pager.hasNext ...
+         *});
+         * </code></pre>
+         * @param {String} name View in the form of ddoc/view, or "_all_docs"
+         * @param {Object} options CouchDB <a href="http://wiki.apache.org/
+         * couchdb/HTTP_view_API">View Options</a>, with <code>limit</code>
+         * being the page size (10 by default)
+         */
+        paginate: function(name, options) {
+          var db = this, query = $.extend({}, options),
+            starts = [null];
+          delete query.limit;
+          function fetch(index, options) {
+            var start = starts[index],
+              params = $.extend({}, query, {limit: pager.pageSize + 1});
+            if (start) {
+              params.startkey = start.key;
+              if (start.id !== undefined) params.startkey_docid = start.id;
+            }
+            var request = name == "_all_docs" ? db.allDocs(params)
+              : db.view(name, params);
+            return settle(request.then(function(resp) {
+              var rows = resp.rows.slice(0, pager.pageSize),
+                after = resp.rows[pager.pageSize];
+              starts[index + 1] = after && {key: after.key, id: after.id};
+              pager.rows = rows;
+              pager.page = index;
+              pager.hasNext = !!after;
+              pager.hasPrev = index > 0;
+              return rows;
+            }), options || {});
+          }
+          var pager = {
+            pageSize: (options && options.limit) || 10,
+            page: -1,
+            rows: [],
+            hasNext: true,
+            hasPrev: false,
+
+            /**
+             * Fetch the next page of rows, the first one to begin with.
+             * Resolves with no rows when there is no next page.
+             * @param {ajaxSettings} options <a href="http://zeptojs.com/
+             * #ajax">Zepto.js ajax settings</a>
+             */
+            next: function(options) {
+              if (!pager.hasNext) return fetchNothing(options);
+              return fetch(pager.page + 1, options);
+            },
+
+            /**
+             * Fetch the previous page of rows. Resolves with no rows when
+             * there is no previous page.
+             * @param {ajaxSettings} options <a href="http://zeptojs.com/
+             * #ajax">Zepto.js ajax settings</a>
+             */
+            prev: function(options) {
+              if (!pager.hasPrev) return fetchNothing(options);
+              return fetch(pager.page - 1, options);
+            },
+
+            /**
+             * Walk the whole view from its first row, a page at a time,
+             * calling <code>callback(row)</code> for each row. When the
+             * callback returns a promise the walk waits for it, and when it
+             * returns false the walk stops. Resolves with the number of rows
+             * visited.
+             * @param {Function} callback called with each row
+             * @param {ajaxSettings} options <a href="http://zeptojs.com/
+             * #ajax">Zepto.js ajax settings</a>
+             */
+            forEachRow: function(callback, options) {
+              var count = 0;
+              function visit(rows, i) {
+                if (i == rows.length) {
+                  return pager.hasNext ? fetch(pager.page + 1)
+                    .then(function(rows) {
+                      return visit(rows, 0);
+                    }) : count;
+                }
+                count++;
+                return resolved(callback(rows[i])).then(function(result) {
+                  return result === false ? count : visit(rows, i + 1);
+                });
+              }
+              return settle(fetch(0).then(function(rows) {
+                return visit(rows, 0);
+              }), options || {});
+            }
+          };
+          function fetchNothing(options) {
+            return settle(resolved([]), options || {});
+          }
+          return pager;
+        },
+
+        /**
+         * Builds a query of a view, or "_all_docs", one option at a time.
+         * Every option is encoded the way CouchDB expects it, conflicting
+         * options are reported when the query is run, and a long list of
+         * <code>keys</code> is POSTed rather than put in the URL.
+         * <pre><code>$db.viewQuery("blog/by_tag").range(["js"], ["js", {}])
+         *  .includeDocs().limit(10).run().then(function(data) {
+         *  ... process data.rows ...
+         *});
+         * </code></pre>
+         * @param {String} name View in the form of ddoc/view, or "_all_docs"
+         */
+        viewQuery: function(name) {
+          var db = this, params = {}, query;
+          function set(option) {
+            return function(value) {
+              params[option] = arguments.length ? value : true;
+              return query;
+            };
+          }
+          function path() {
+            if (name == "_all_docs") return db.uri + "_all_docs";
+            var parts = name.split('/');
+            return db.uri + "_design/" + parts[0] + "/_view/" + parts[1];
+          }
+          query = {
+            key: set("key"),
+            keys: set("keys"),
+            startkey: set("startkey"),
+            endkey: set("endkey"),
+            startDocId: set("startkey_docid"),
+            endDocId: set("endkey_docid"),
+            inclusiveEnd: set("inclusive_end"),
+            descending: set("descending"),
+            group: set("group"),
+            groupLevel: set("group_level"),
+            reduce: set("reduce"),
+            includeDocs: set("include_docs"),
+            conflicts: set("conflicts"),
+            limit: set("limit"),
+            skip: set("skip"),
+            stale: set("stale"),
+            updateSeq: set("update_seq"),
+
+            /**
+             * Sets the <code>startkey</code> and <code>endkey</code>; leave
+             * either undefined for an open ended range.
+             */
+            range: function(start, end) {
+              if (start !== undefined) params.startkey = start;
+              if (end !== undefined) params.endkey = end;
+              return query;
+            },
+
+            /**
+             * The query's options, as passed to view() or allDocs().
+             */
+            options: function() {
+              return $.extend({}, params);
+            },
+
+            /**
+             * The URL of the query, when it is run with GET.
+             */
+            url: function() {
+              return path() + encodeOptions(params);
+            },
+
+            /**
+             * Run the query.
+             * @param {ajaxSettings} options <a href="http://zeptojs.com/
+             * #ajax">Zepto.js ajax settings</a>
+             */
+            run: function(options) {
+              options = options || {};
+              var problem = viewQueryProblem(params), url = query.url(),
+                keys = params.keys;
+              if (problem) {
+                return rejected(options, couchError(400, "query_parse_error",
+                                                    problem));
+              }
+              if (keys && url.length > 2000) {
+                delete params.keys;
+                url = query.url();
+                params.keys = keys;
+              } else {
+                keys = null;
+              }
+              return server.request({
+                  type: keys ? "POST" : "GET", url: url,
+                  data: keys ? toJSON({keys: keys}) : null
+                },
+                options,
+                "An error occurred accessing the view"
+              );
+            }
+          };
+          return query;
+        },
+
+        /**
+         * Build the URL of a document, for links or requests of your own.
+         * @param {String} docId id of the document
+         * @param {Object} [options] query options, such as <code>rev</code>
+         */
+        docUrl: function(docId, options) {
+          return this.uri + encodeDocId(docId) + encodeOptions(options);
+        },
+
+        /**
+         * Build the URL of a document's attachment, which can be used as the
+         * <code>src</code> of an image, for example. Slashes in the
+         * attachment name are kept as path separators.
+         * @param {String} docId id of the document
+         * @param {String} name name of the attachment
+         * @param {Object} [options] query options, such as <code>rev</code>
+         */
+        attachmentUrl: function(docId, name, options) {
+          return this.uri + encodeDocId(docId) + "/" +
+            encodeAttachmentName(name) + encodeOptions(options);
+        },
+
+        /**
+         * Upload an attachment, creating the document if it doesn't exist.
+         * @see <a href="http://techzone.couchbase.com/sites/default/files/
+         * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
+         * dbdoc_db-doc-attachment_put">docs for PUT /db/doc/attachment</a>
+         * @param {String} docId id of the document
+         * @param {String} rev current revision of the document, null when
+         * creating it
+         * @param {String} name name of the attachment
+         * @param {Blob|ArrayBuffer|String} data content of the attachment
+         * @param {String} [contentType] MIME type of the attachment, the
+         * Blob's own type or "application/octet-stream" by default
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        putAttachment: function(docId, rev, name, data, contentType,
+                                options) {
+          options = options || {};
+          $.extend(options, {successStatus: [201, 202]});
+          contentType = contentType || data.type || "application/octet-stream";
+          return server.request({
+              type: "PUT",
+              url: this.attachmentUrl(docId, name, rev ? {rev: rev} : null),
+              data: data, processData: false
+            },
+            options,
+            "The attachment could not be saved",
+            {contentType: contentType}
+          );
+        },
+
+        /**
+         * Download an attachment, as a Blob by default.
+         * @see <a href="http://techzone.couchbase.com/sites/default/files/
+         * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
+         * dbdoc_db-doc-attachment_get">docs for GET /db/doc/attachment</a>
+         * @param {String} docId id of the document
+         * @param {String} name name of the attachment
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>, plus <code>responseType</code>, which
+         * can be "blob", "arraybuffer" or "text", and <code>rev</code> to
+         * get the attachment of an older revision
+         */
+        getAttachment: function(docId, name, options) {
+          options = options || {};
+          var responseType = options.responseType || "blob",
+            url = this.attachmentUrl(docId, name,
+                                     options.rev ? {rev: options.rev} : null);
+          return settle(binaryGet(server, url, "The attachment could not be " +
+                                  "retrieved", responseType, "*/*")
+            .then(function(xhr) {
+              return responseType == "text" ? xhr.responseText : xhr.response;
+            }), options);
+        },
+
+        /**
+         * Delete an attachment from a document.
+         * @see <a href="http://techzone.couchbase.com/sites/default/files/
+         * uploads/all/documentation/couchbase-api-dbdoc.html#couchbase-api-
+         * dbdoc_db-doc-attachment_delete">docs for DELETE
+         * /db/doc/attachment</a>
+         * @param {String} docId id of the document
+         * @param {String} rev current revision of the document
+         * @param {String} name name of the attachment
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        removeAttachment: function(docId, rev, name, options) {
+          return server.request({
+              type: "DELETE",
+              url: this.attachmentUrl(docId, name, {rev: rev})
+            },
+            options,
+            "The attachment could not be deleted"
+          );
+        },
+
+        /**
+         * List the earlier revisions of a document that were archived as
+         * attachments by the <code>attachPrevRev</code> option, as revision
+         * numbers from newest to oldest.
+         * @param {String} docId id of the document
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        listPrevRevs: function(docId, options) {
+          options = options || {};
+          return settle(this.openDoc(docId).then(function(doc) {
+            return prevRevNumbers(doc);
+          }), options);
+        },
+
+        /**
+         * Read an earlier revision of a document that was archived by the
+         * <code>attachPrevRev</code> option.
+         * @param {String} docId id of the document
+         * @param {Number} revNumber revision number, as given by listPrevRevs
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        openPrevRev: function(docId, revNumber, options) {
+          options = options || {};
+          return settle(this.getAttachment(docId, "rev-" + revNumber, {
+            responseType: "text"
+          }).then(function(text) {
+            return JSON.parse(text);
+          }), options);
+        },
+
+        /**
+         * Save an archived revision of a document as its newest revision.
+         * The document keeps its current attachments, including the archive
+         * of the revision being replaced.
+         * @param {String} docId id of the document
+         * @param {Number} revNumber revision number, as given by listPrevRevs
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        restorePrevRev: function(docId, revNumber, options) {
+          options = options || {};
+          var db = this;
+          return settle(db.openDoc(docId, {attachPrevRev: true})
+            .then(function(current) {
+              return db.openPrevRev(docId, revNumber).then(function(doc) {
+                doc._rev = current._rev;
+                doc._attachments = current._attachments;
+                return db.saveDoc(doc);
+              });
+            }), options);
+        },
+
+        /**
+         * Fetch an arbitrary CouchDB database property
+         * @see <a href="http://techzone.couchbase.com/sites/default/files/
+         * uploads/all/documentation/couchbase-api.html">docs for /db/_prop</a>
+         * @param {String} propName Propery name to fetch
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         * @param {ajaxSettings} ajaxOptions <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        getDbProperty: function(propName, options, ajaxOptions) {
+          return server.request({
+              url: this.uri + propName + encodeOptions(options)
+            },
+            options,
+            "The property could not be retrieved",
+            ajaxOptions
+          );
+        },
+
+        /**
+         * Set an arbitrary CouchDB database property
          * @see <a href="http://techzone.couchbase.com/sites/default/files/
          * uploads/all/documentation/couchbase-api.html">docs for /db/_prop</a>
          * @param {String} propName Propery name to fetch
@@ -740,7 +1941,7 @@
          * Zepto.js ajax settings</a>
          */
         setDbProperty: function(propName, propValue, options, ajaxOptions) {
-          ajax({
+          return server.request({
             type: "PUT", 
             url: this.uri + propName + encodeOptions(options),
             data : JSON.stringify(propValue)
@@ -753,8 +1954,6 @@
       };
     },
 
-    encodeDocId: encodeDocId, 
-
     /**
      * Accessing the root of a CouchDB instance returns meta information about
      * the instance. The response is a JSON structure containing information
@@ -767,7 +1966,7 @@
      * Zepto.js ajax settings</a>
      */
     info: function(options) {
-      ajax(
+      return this.request(
         {url: this.urlPrefix + "/"},
         options,
         "Server information could not be retrieved"
@@ -786,11 +1985,12 @@
      * @param {Object} repOpts Additional replication options
      */
     replicate: function(source, target, ajaxOptions, repOpts) {
+      ajaxOptions = ajaxOptions || {};
       repOpts = $.extend({source: source, target: target}, repOpts);
       if (repOpts.continuous && !repOpts.cancel) {
         ajaxOptions.successStatus = 202;
       }
-      ajax({
+      return this.request({
           type: "POST", url: this.urlPrefix + "/_replicate",
           data: JSON.stringify(repOpts),
           contentType: "application/json"
@@ -801,80 +2001,1876 @@
     },
 
     /**
-     * Fetch a new UUID
-     * @see <a href="http://techzone.couchbase.com/sites/default/files/
-     * uploads/all/documentation/couchbase-api-misc.html#couchbase-api-
-     * misc_uuids_get">docs for /_uuids</a>
-     * @param {Int} cacheNum Number of uuids to keep cached for future use
+     * Manage persistent replications, which are documents in the
+     * <code>_replicator</code> database. Unlike those started by replicate()
+     * they survive a restart of the server, and can be listed.
+     * <pre><code>var replicator = $.couch.replicator();
+     *replicator.create("mydb", "http://example.com/mydb",
+     *                  {continuous: true}).then(function(resp) {
+     *  ... later, replicator.cancel(resp.id) ...
+     *});
+     * </code></pre>
+     * Jobs are described by objects with the replication document's
+     * <code>id</code>, <code>rev</code>, <code>source</code>,
+     * <code>target</code> and <code>continuous</code>, its
+     * <code>replicationId</code>, its <code>state</code> (such as
+     * "triggered", "running", "completed" or "error") and the
+     * <code>reason</code> for an error, and the document itself as
+     * <code>doc</code>.
+     * @see <a href="http://docs.couchdb.org/en/stable/replication/
+     * replicator.html">docs for the _replicator database</a>
+     * @param {String} [name] name of the replicator database,
+     * "_replicator" by default
      */
-    newUUID: function(cacheNum) {
-      if (cacheNum === undefined) {
-        cacheNum = 1;
-      }
-      if (!uuidCache.length) {
-        ajax({url: this.urlPrefix + "/_uuids", data: {count: cacheNum}, async:
-              false}, {
-            success: function(resp) {
-              uuidCache = resp.uuids;
-            }
+    replicator: function(name) {
+      name = name || "_replicator";
+      var server = this, db = server.db(name), replicator;
+      // The scheduler's view of one or all replication documents, which
+      // servers before CouchDB 2.1 don't have.
+      function schedulerDocs(docId) {
+        return server.request({
+            url: server.urlPrefix + "/_scheduler/docs/" +
+                 encodeURIComponent(name) +
+                 (docId ? "/" + encodeURIComponent(docId) : "")
           },
-          "Failed to retrieve UUID batch."
-        );
+          {},
+          "The replication state could not be retrieved"
+        ).then(function(resp) {
+          return docId ? [resp] : resp.docs;
+        }, function() {
+          return [];
+        });
       }
-      return uuidCache.shift();
-    }
-  });
+      // a copy of a job's document without the fields only the replicator
+      // may set
+      function editable(doc) {
+        var copy = JSON.parse(toJSON(doc));
+        for (var field in copy) {
+          if (field.indexOf("_replication_") === 0) delete copy[field];
+        }
+        return copy;
+      }
+      function job(doc, info) {
+        info = info || {};
+        return {
+          id: doc._id, rev: doc._rev,
+          source: doc.source, target: doc.target,
+          continuous: !!doc.continuous,
+          replicationId: info.id || doc._replication_id,
+          state: info.state || doc._replication_state,
+          reason: info.error_count ? info.info
+            : doc._replication_state_reason,
+          doc: doc
+        };
+      }
+      replicator = {
+        db: db,
 
-  /**
-   * @private
-   */
-  function ajax(obj, options, errorMessage, ajaxOptions) {
-    var timeStart;
-    var defaultAjaxOpts = {
-      contentType: "application/json",
-      headers:{"Accept": "application/json"}
-    };
+        /**
+         * Create a replication job.
+         * @param {String|Object} source name or url of the source database
+         * @param {String|Object} target name or url of the target database
+         * @param {Object} [repOpts] additional replication options, such as
+         * <code>continuous</code>, <code>filter</code> or an
+         * <code>_id</code> for the job
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        create: function(source, target, repOpts, options) {
+          return db.saveDoc($.extend({source: source, target: target},
+                                     repOpts), options);
+        },
 
-    options = $.extend({successStatus: 200}, options);
-    ajaxOptions = $.extend(defaultAjaxOpts, ajaxOptions);
-    errorMessage = errorMessage || "Unknown error";
-    timeStart = (new Date()).getTime();
-    $.ajax($.extend($.extend({
-      type: "GET", dataType: "json",
-      beforeSend: function(xhr){
-        if(ajaxOptions && ajaxOptions.headers){
-          for (var header in ajaxOptions.headers){
-            xhr.setRequestHeader(header, ajaxOptions.headers[header]);
+        /**
+         * List the replication jobs.
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        list: function(options) {
+          return settle(all([
+            db.allDocs({include_docs: true}), schedulerDocs()
+          ]).then(function(results) {
+            var infos = {};
+            $.each(results[1], function(i, info) {
+              infos[info.doc_id] = info;
+            });
+            return $.map(results[0].rows, function(row) {
+              if (row.id.indexOf("_design/") === 0) return null;
+              return job(row.doc, infos[row.id]);
+            });
+          }), options || {});
+        },
+
+        /**
+         * Get a replication job.
+         * @param {String} id id of the job's document
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        get: function(id, options) {
+          return settle(all([
+            db.openDoc(id), schedulerDocs(id)
+          ]).then(function(results) {
+            return job(results[0], results[1][0]);
+          }), options || {});
+        },
+
+        /**
+         * Change the options of a replication job, which restarts it. Where
+         * the server only lets the replicator edit a running job's document,
+         * as before CouchDB 2.1, the document is deleted and saved anew, and
+         * put back as it was if the new one can't be saved.
+         * @param {String} id id of the job's document
+         * @param {Object} changes a merge patch of the job's document: the
+         * new values of the options to change, and null for the ones to
+         * remove
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        update: function(id, changes, options) {
+          var updated;
+          return settle(db.openDoc(id).then(function(doc) {
+            updated = mergePatch(editable(doc), changes);
+            return db.saveDoc(updated).then(null, function(err) {
+              if (!(err instanceof ForbiddenError) ||
+                  !/only the replicator/i.test(err.reason)) {
+                throw err;
+              }
+              delete updated._rev;
+              return db.removeDoc(doc).then(function() {
+                return db.saveDoc(updated).then(null, function(err) {
+                  var restored = editable(doc);
+                  delete restored._rev;
+                  return db.saveDoc(restored).then(function() {
+                    throw err;
+                  }, function() {
+                    throw err;
+                  });
+                });
+              });
+            });
+          }).then(function() {
+            return job(updated);
+          }), options || {});
+        },
+
+        /**
+         * Cancel a replication job, by deleting its document.
+         * @param {String} id id of the job's document, or its replication
+         * id as found in activeTasks()
+         * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+         * Zepto.js ajax settings</a>
+         */
+        cancel: function(id, options) {
+          return settle(db.openDoc(id).then(null, function(err) {
+            if (!(err instanceof NotFoundError)) throw err;
+            return replicator.list().then(function(jobs) {
+              var found = $.grep(jobs, function(job) {
+                return job.replicationId && job.replicationId.split("+")[0] ==
+                  id.split("+")[0];
+              })[0];
+              if (!found) throw err;
+              return found.doc;
+            });
+          }).then(function(doc) {
+            return db.removeDoc(doc);
+          }), options || {});
+        }
+      };
+      return replicator;
+    },
+
+    /**
+     * Watch the progress of a replication by polling
+     * <code>/_active_tasks</code>, and the <code>/_scheduler</code> endpoints
+     * of servers that have them.
+     * <pre><code>$.couch.replicate("mydb", "http://example.com/mydb", {},
+     *                 {continuous: true}).then(function(resp) {
+     *  var monitor = $.couch.monitorReplication(resp);
+     *  monitor.onProgress(function(progress) {
+     *    console.log(progress.docs_written, progress.changes_pending);
+     *  });
+     *});
+     * </code></pre>
+     * @param {String|Object} id the replication id, the response of
+     * replicate() or a job of replicator(), or the id of a replication
+     * document in the <code>_replicator</code> database. The response of a
+     * one-off replicate() is reported as completed straight away.
+     * @param {Object} [options] <code>interval</code> between polls in
+     * milliseconds (5000 by default), and <code>stallTimeout</code>, the
+     * time without progress while changes are pending after which the
+     * replication counts as stalled (60000 by default), and
+     * <code>findPolls</code>, the number of polls that may miss the
+     * replication before it is reported as not found (5 by default)
+     */
+    monitorReplication: function(id, options) {
+      options = options || {};
+      var response = typeof id == "object" ? id : null;
+      if (response) id = response._local_id || response.replicationId ||
+        response.id;
+      var server = this, baseId = String(id || "").split("+")[0],
+        active = true,
+        interval = options.interval || 5000,
+        stallTimeout = options.stallTimeout || 60 * 1000,
+        findPolls = options.findPolls || 5, misses = 0,
+        scheduler = true, seen = false, failing = false, failures = 0,
+        stats, changedAt = new Date().getTime(), timer,
+        progressListeners = [], stallListeners = [], errorListeners = [],
+        monitor = /** @lends $.couch.monitorReplication */ {
+          /**
+           * What the replication is doing: "connecting" until it is found,
+           * then "running", "stalled", "error", "completed" or "stopped".
+           * It is "error" too when the replication is never found.
+           */
+          state: "connecting",
+          /**
+           * The latest progress of the replication
+           */
+          progress: null,
+          /**
+           * Add a listener called with the progress of the replication each
+           * time it changes: its <code>replication_id</code>,
+           * <code>doc_id</code> and <code>state</code>, and the
+           * <code>docs_read</code>, <code>docs_written</code>,
+           * <code>doc_write_failures</code>, <code>changes_pending</code>,
+           * <code>checkpointed_source_seq</code>, <code>source_seq</code>
+           * and <code>through_seq</code> the server reports
+           * @param {Function} fun Callback function to run on progress
+           */
+          onProgress: function(fun) {
+            progressListeners.push(fun);
+          },
+          /**
+           * Add a listener called with the progress of the replication when
+           * it made none for <code>stallTimeout</code> milliseconds while
+           * changes are pending
+           * @param {Function} fun Callback function to run on a stall
+           */
+          onStall: function(fun) {
+            stallListeners.push(fun);
+          },
+          /**
+           * Add a listener called with a CouchError when the replication
+           * fails or disappears, and with the CouchError and the number of
+           * failures in a row when polling the server fails
+           * @param {Function} fun Callback function to run on errors
+           */
+          onError: function(fun) {
+            errorListeners.push(fun);
+          },
+          /**
+           * Stop polling the server
+           */
+          stop: function() {
+            active = false;
+            monitor.state = "stopped";
+            clearTimeout(timer);
           }
+        };
+      function matches(info) {
+        return info && (info.doc_id == id || (info.replication_id ||
+          info.id || "").split("+")[0] == baseId);
+      }
+      function find(list) {
+        return $.grep(list || [], matches)[0];
+      }
+      function scheduled(path) {
+        if (!scheduler) return resolved(null);
+        return server.request(
+          {url: server.urlPrefix + "/_scheduler/" + path},
+          {},
+          "The replication scheduler could not be queried"
+        ).then(null, function(err) {
+          // servers before CouchDB 2.1 have no scheduler
+          if (err.status == 400 || err.status == 404) scheduler = false;
+          return null;
+        });
+      }
+      function poll() {
+        all([
+          server.activeTasks(), scheduled("jobs"), scheduled("docs")
+        ]).then(function(results) {
+          failures = 0;
+          if (!active) return;
+          update(find($.grep(results[0], function(task) {
+              return task.type == "replication";
+            })),
+            find(results[1] && results[1].jobs),
+            find(results[2] && results[2].docs));
+          if (active) timer = setTimeout(poll, interval);
+        }, function(err) {
+          if (!active) return;
+          callEach(monitor, errorListeners, err, ++failures);
+          timer = setTimeout(poll, interval);
+        });
+      }
+      // work out the replication's state and progress from what was found
+      function update(task, job, doc) {
+        var found = task || job || doc, info = task || (job || doc || {}).info,
+          last = job && job.history && job.history[0], status = 500,
+          reason, now, current, counts;
+        if (doc && /^(crashing|failed|error)$/.test(doc.state)) {
+          reason = typeof doc.info == "string" ? doc.info
+            : doc.info && doc.info.error || doc.state;
+        } else if (!doc && last && last.type == "crashed") {
+          reason = last.reason;
         }
-      },
-      complete: function(req) {
-        var reqDuration = (new Date()).getTime() - timeStart;
-        try {
-          var resp = JSON.parse(req.responseText);
-        } catch(e) {
-          if (options.error) {
-            options.error(req.status, req, e);
-          } else {
-            throw errorMessage + ': ' + e;
+        if (!found) {
+          if (!seen) {
+            if (++misses >= findPolls) {
+              fail(couchError(404, "not_found",
+                              "The replication could not be found"));
+            }
+            return;
+          }
+          if (!monitor.progress || !monitor.progress.continuous) {
+            return finish("completed");
+          }
+          status = 404;
+          reason = "The replication is no longer running";
+        }
+        seen = true;
+        if (doc && doc.state == "completed") return finish("completed");
+        if (reason) {
+          monitor.state = "error";
+          if (!failing) {
+            failing = true;
+            callEach(monitor, errorListeners,
+                     couchError(status, "replication_failed", String(reason)));
           }
           return;
         }
-        if (options.ajaxStart) {
-          options.ajaxStart(resp);
+        if (failing) {
+          failing = false;
+          monitor.state = "running";
         }
-        if (req.status == options.successStatus) {
-          if (options.beforeSuccess) options.beforeSuccess(req, resp, reqDuration);
-          if (options.success) options.success(resp, reqDuration);
-        } else if (options.error) {
-          options.error(req.status, resp && resp.error ||
-                        errorMessage, resp && resp.reason || "no response",
-                        reqDuration);
-        } else {
-          throw errorMessage + ": " + resp.reason;
+        if (!info || typeof info != "object") info = {};
+        current = {
+          replication_id: task ? task.replication_id : found.id || id,
+          doc_id: found.doc_id,
+          continuous: task ? !!task.continuous
+            : /\+continuous$/.test(found.id || ""),
+          docs_read: info.docs_read,
+          docs_written: info.docs_written,
+          doc_write_failures: info.doc_write_failures,
+          changes_pending: info.changes_pending,
+          checkpointed_source_seq: info.checkpointed_source_seq,
+          source_seq: info.source_seq,
+          through_seq: info.through_seq
+        };
+        now = new Date().getTime();
+        counts = toJSON([current.docs_read, current.docs_written,
+          current.doc_write_failures, current.changes_pending,
+          current.checkpointed_source_seq, current.through_seq]);
+        if (counts != stats) {
+          stats = counts;
+          changedAt = now;
+          current.state = monitor.state = "running";
+          monitor.progress = current;
+          callEach(monitor, progressListeners, current);
+        } else if (monitor.state != "stalled" &&
+                   now - changedAt >= stallTimeout && pending(current)) {
+          current.state = monitor.state = "stalled";
+          monitor.progress = current;
+          callEach(monitor, stallListeners, current);
         }
       }
-    }, obj), ajaxOptions));
+      // whether changes are waiting to be replicated, judged by the sequence
+      // numbers on servers that don't count them
+      function pending(progress) {
+        if (progress.changes_pending != null) {
+          return progress.changes_pending > 0;
+        }
+        var done = progress.through_seq || progress.checkpointed_source_seq;
+        return progress.source_seq != null &&
+          toJSON(progress.source_seq) != toJSON(done);
+      }
+      function fail(err) {
+        active = false;
+        monitor.state = "error";
+        callEach(monitor, errorListeners, err);
+      }
+      function finish(state) {
+        active = false;
+        monitor.state = state;
+        if (monitor.progress) {
+          monitor.progress = $.extend({}, monitor.progress, {state: state});
+          callEach(monitor, progressListeners, monitor.progress);
+        }
+      }
+      if (id) {
+        poll();
+      } else if (response && response.history) {
+        // a one-off replication is over by the time replicate() resolves
+        var last = response.history[0] || {};
+        monitor.progress = {
+          replication_id: null, doc_id: null, continuous: false,
+          docs_read: last.docs_read, docs_written: last.docs_written,
+          doc_write_failures: last.doc_write_failures,
+          checkpointed_source_seq: response.source_last_seq,
+          source_seq: response.source_last_seq,
+          through_seq: response.source_last_seq
+        };
+        timer = setTimeout(function() {
+          finish("completed");
+        }, 0);
+      } else {
+        timer = setTimeout(function() {
+          fail(couchError(400, "bad_request", "No replication id to monitor"));
+        }, 0);
+      }
+      return monitor;
+    },
+
+    /**
+     * Keep two databases in sync by replicating continuously in both
+     * directions, with the same <code>filter</code>,
+     * <code>query_params</code>, <code>doc_ids</code> or
+     * <code>selector</code> settings. The replications run on this server.
+     * <pre><code>var sync = $.couch.sync("mydb",
+     *  $.couch.server("http://example.com").db("mydb"),
+     *  {filter: "app/mine", query_params: {owner: "bob"}});
+     *sync.onChange(function(status) {
+     *  console.log(status.state, status.changes_pending);
+     *});
+     *... later, sync.cancel() ...
+     * </code></pre>
+     * @param {String|Object} localDb name or url of the local database, or
+     * a database object from db()
+     * @param {String|Object} remoteDb name or url of the remote database, or
+     * a database object from db()
+     * @param {Object} [options] replication options shared by both
+     * directions, <code>push</code> and <code>pull</code> objects with
+     * options for one direction only, and the <code>interval</code> and
+     * <code>stallTimeout</code> of monitorReplication()
+     */
+    sync: function(localDb, remoteDb, options) {
+      options = $.extend({continuous: true}, options);
+      var server = this, shared = $.extend({}, options),
+        monitorOptions = {
+          interval: options.interval, stallTimeout: options.stallTimeout
+        },
+        changeListeners = [], errorListeners = [], directions,
+        sync = /** @lends $.couch.sync */ {
+          /**
+           * The combined status of both directions: their overall
+           * <code>state</code> ("connecting", "running", "stalled",
+           * "error", "completed" or "cancelled"), the progress of the
+           * <code>push</code> and <code>pull</code> replications as reported
+           * by monitorReplication(), and the totals of their
+           * <code>docs_read</code>, <code>docs_written</code>,
+           * <code>doc_write_failures</code> and
+           * <code>changes_pending</code>
+           */
+          status: null,
+          /**
+           * Add a listener called with the status each time it changes
+           * @param {Function} fun Callback function to run on changes
+           */
+          onChange: function(fun) {
+            changeListeners.push(fun);
+          },
+          /**
+           * Add a listener called with a CouchError and the direction,
+           * "push" or "pull", when a replication fails to start or fails
+           * while running
+           * @param {Function} fun Callback function to run on errors
+           */
+          onError: function(fun) {
+            errorListeners.push(fun);
+          },
+          /**
+           * Stop both replications
+           * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+           * Zepto.js ajax settings</a>
+           */
+          cancel: function(options) {
+            var stopping = [];
+            $.each(directions, function(i, direction) {
+              direction.cancelled = true;
+              direction.progress = $.extend({}, direction.progress,
+                                            {state: "cancelled"});
+              if (direction.monitor) direction.monitor.stop();
+              stopping.push(direction.started.then(function(replicationId) {
+                if (!replicationId) return;
+                return server.replicate(direction.repOpts.source,
+                  direction.repOpts.target, {},
+                  $.extend({}, direction.repOpts, {cancel: true})
+                ).then(null, function(err) {
+                  // the replication already ended
+                  if (!(err instanceof NotFoundError)) throw err;
+                });
+              }));
+            });
+            report();
+            return settle(all(stopping).then(function() {
+              return {ok: true};
+            }), options || {});
+          }
+        };
+      $.each(["push", "pull", "interval", "stallTimeout"], function(i, key) {
+        delete shared[key];
+      });
+      // how the server running the replications reaches the database
+      function endpoint(db) {
+        var headers;
+        if (typeof db == "string") return db;
+        if (db.uri.indexOf(server.urlPrefix + "/") === 0) return db.name;
+        headers = db.server && (db.server.ajaxDefaults || {}).headers;
+        return headers ? {url: db.uri, headers: headers} : db.uri;
+      }
+      function fail(direction, err) {
+        direction.progress = $.extend({}, direction.progress,
+                                      {state: "error"});
+        callEach(sync, errorListeners, err, direction.name);
+        report();
+      }
+      function start(name, source, target) {
+        var direction = {
+          name: name,
+          repOpts: $.extend({source: source, target: target}, shared,
+                            options[name]),
+          progress: {state: "connecting"}
+        };
+        direction.started = server.replicate(source, target, {},
+          direction.repOpts
+        ).then(function(resp) {
+          if (direction.cancelled) return resp._local_id;
+          if (!direction.repOpts.continuous) {
+            var last = (resp.history || [])[0] || {};
+            direction.progress = {
+              state: "completed", docs_read: last.docs_read,
+              docs_written: last.docs_written,
+              doc_write_failures: last.doc_write_failures
+            };
+            report();
+            return null;
+          }
+          direction.monitor = server.monitorReplication(resp._local_id,
+                                                        monitorOptions);
+          direction.monitor.onProgress(function(progress) {
+            direction.progress = progress;
+            report();
+          });
+          direction.monitor.onStall(function(progress) {
+            direction.progress = progress;
+            report();
+          });
+          direction.monitor.onError(function(err, failures) {
+            // polling failures don't stop the replication
+            if (!failures) fail(direction, err);
+          });
+          return resp._local_id;
+        }, function(err) {
+          fail(direction, err);
+          return null;
+        });
+        return direction;
+      }
+      // combine the states and counts of both directions
+      function report() {
+        var push = directions[0], pull = directions[1], states = {},
+          status = {push: push.progress, pull: pull.progress};
+        $.each(directions, function(i, direction) {
+          states[direction.progress.state] = true;
+          $.each(["docs_read", "docs_written", "doc_write_failures",
+                  "changes_pending"], function(i, key) {
+            if (direction.progress[key] != null) {
+              status[key] = (status[key] || 0) + direction.progress[key];
+            }
+          });
+        });
+        status.state = push.cancelled ? "cancelled"
+          : states.error ? "error"
+          : states.stalled ? "stalled"
+          : states.connecting ? "connecting"
+          : states.running ? "running" : "completed";
+        sync.status = status;
+        callEach(sync, changeListeners, status);
+      }
+      directions = [
+        start("push", endpoint(localDb), endpoint(remoteDb)),
+        start("pull", endpoint(remoteDb), endpoint(localDb))
+      ];
+      sync.status = {state: "connecting", push: directions[0].progress,
+                     pull: directions[1].progress};
+      return sync;
+    },
+
+    /**
+     * Replicate from one database to another in the browser, which speaks
+     * the CouchDB replication protocol itself instead of asking a server to.
+     * The two databases only need to be reachable from the page, not from
+     * each other, so they can be on two different servers such as TouchDB
+     * and a remote CouchDB.
+     * <pre><code>var remote = $.couch.server("http://example.com");
+     *var rep = $.couch.clientReplicate(remote.db("mydb"), "mydb");
+     *rep.onChange(function(status) {
+     *  console.log(status.docs_written);
+     *});
+     *rep.promise.then(function(status) {
+     *  ... done ...
+     *});
+     * </code></pre>
+     * Changed documents are read from <code>_changes</code> in batches,
+     * checked against the target with <code>_revs_diff</code>, fetched with
+     * bulkGet() and written with <code>new_edits=false</code>. After each
+     * batch a checkpoint is saved in a <code>_local</code> document in both
+     * databases, so that a later replication with the same settings carries
+     * on from there. A source the user may only read keeps no checkpoint,
+     * and the target's checkpoint is trusted instead.
+     * @param {String|Object} source name of the source database on this
+     * server, or a database object from db()
+     * @param {String|Object} target name of the target database on this
+     * server, or a database object from db()
+     * @param {Object} [options] <code>continuous</code>,
+     * <code>batch_size</code> (100 by default), <code>since_seq</code>,
+     * <code>create_target</code>, <code>filter</code>,
+     * <code>query_params</code>, <code>doc_ids</code> and
+     * <code>selector</code> as for replicate(), <code>maxBackoff</code>
+     * (in milliseconds) between retries of a continuous replication, and
+     * <code>success</code> and <code>error</code> callbacks
+     */
+    clientReplicate: function(source, target, options) {
+      options = $.extend({batch_size: 100}, options);
+      if (typeof source == "string") source = this.db(source);
+      if (typeof target == "string") target = this.db(target);
+      var dfd = deferred(options), active = true, failures = 0, retryTimer,
+        timeout = 100, maxBackoff = options.maxBackoff || 60 * 1000,
+        checkpointId = "_local/zepto.couch.rep." + hashString(toJSON([
+          source.uri, target.uri, options.filter || null,
+          options.query_params || null, options.doc_ids || null,
+          options.selector || null
+        ])),
+        session = generateUUID(), startTime = new Date().toUTCString(),
+        checkpoints, since, startSeq, sourceWritable = true,
+        changeListeners = [], errorListeners = [],
+        replication = /** @lends $.couch.clientReplicate */ {
+          /**
+           * "starting", "running", "completed", "cancelled" or "error"
+           */
+          state: "starting",
+          /**
+           * How far the replication got: its <code>docs_read</code>,
+           * <code>docs_written</code>, <code>doc_write_failures</code>,
+           * <code>revisions_checked</code> and
+           * <code>missing_revisions_found</code>, the
+           * <code>last_seq</code> of the source it reached, and the number
+           * of <code>changes_pending</code> when the server reports it
+           */
+          status: {
+            docs_read: 0, docs_written: 0, doc_write_failures: 0,
+            revisions_checked: 0, missing_revisions_found: 0
+          },
+          /**
+           * A promise of the status once a one-off replication completed
+           * or any replication was cancelled
+           */
+          promise: dfd.promise,
+          /**
+           * Add a listener called with the status after each batch
+           * @param {Function} fun Callback function to run on progress
+           */
+          onChange: function(fun) {
+            changeListeners.push(fun);
+          },
+          /**
+           * Add a listener called with the CouchError and the number of
+           * failures in a row each time a continuous replication fails and
+           * is retried
+           * @param {Function} fun Callback function to run on errors
+           */
+          onError: function(fun) {
+            errorListeners.push(fun);
+          },
+          /**
+           * Stop replicating after the current batch
+           */
+          cancel: function() {
+            if (!active) return;
+            clearTimeout(retryTimer);
+            finish("cancelled");
+          }
+        },
+        status = replication.status;
+      function finish(state) {
+        active = false;
+        replication.state = state;
+        if (options.success) options.success(status);
+        dfd.resolve(status);
+      }
+      function fail(err) {
+        if (!active) return;
+        if (!options.continuous) {
+          active = false;
+          replication.state = "error";
+          if (options.error) {
+            options.error(err.status, err.error, err.reason, err.duration,
+                          err);
+          }
+          dfd.reject(err);
+          return;
+        }
+        callEach(replication, errorListeners, err, ++failures);
+        retryTimer = setTimeout(start, timeout);
+        timeout = Math.min(timeout * 2, maxBackoff);
+      }
+      function openCheckpoint(db) {
+        return db.openDoc(checkpointId).then(null, function(err) {
+          if (err instanceof NotFoundError ||
+              db == source && isAuthError(err)) {
+            return {_id: checkpointId};
+          }
+          throw err;
+        });
+      }
+      // a read-only source refuses its checkpoint, which isn't needed then
+      function isAuthError(err) {
+        return err instanceof UnauthorizedError ||
+          err instanceof ForbiddenError;
+      }
+      // where the last replication both databases remember stopped
+      function lastSeq(sourceDoc, targetDoc) {
+        var targetSessions = {}, seq = 0;
+        if (sourceDoc.session_id === undefined) {
+          return targetDoc.source_read_only && targetDoc.source_last_seq || 0;
+        }
+        if (sourceDoc.session_id == targetDoc.session_id) {
+          return sourceDoc.source_last_seq;
+        }
+        $.each(targetDoc.history || [], function(i, entry) {
+          targetSessions[entry.session_id] = true;
+        });
+        $.each(sourceDoc.history || [], function(i, entry) {
+          if (targetSessions[entry.session_id]) {
+            seq = entry.recorded_seq;
+            return false;
+          }
+        });
+        return seq;
+      }
+      function start() {
+        target.info().then(null, function(err) {
+          if (!(err instanceof NotFoundError) || !options.create_target) {
+            throw err;
+          }
+          return target.create();
+        }).then(function() {
+          return all([openCheckpoint(source), openCheckpoint(target)]);
+        }).then(function(docs) {
+          checkpoints = docs;
+          if (since === undefined) {
+            since = options.since_seq !== undefined ? options.since_seq
+              : lastSeq(docs[0], docs[1]);
+            startSeq = since;
+          }
+          replication.state = "running";
+          nextBatch(false);
+        }).then(null, fail);
+      }
+      function readChanges(wait) {
+        var query = $.extend({}, options.query_params, {
+            since: since, limit: options.batch_size, style: "all_docs"
+          }), body;
+        if (options.doc_ids) {
+          body = {doc_ids: options.doc_ids};
+          query.filter = "_doc_ids";
+        } else if (options.selector) {
+          body = {selector: options.selector};
+          query.filter = "_selector";
+        } else if (options.filter) {
+          query.filter = options.filter;
+        }
+        if (wait) query.feed = "longpoll";
+        return source.server.request({
+            type: body ? "POST" : "GET",
+            url: source.uri + "_changes" + encodeOptions(query),
+            contentType: "application/json", data: body && toJSON(body)
+          },
+          {},
+          "The changes could not be retrieved"
+        );
+      }
+      // copy the revisions listed in a batch of changes the target is missing
+      function copyRevisions(results) {
+        var revs = {};
+        $.each(results, function(i, row) {
+          revs[row.id] = $.map(row.changes, function(change) {
+            return change.rev;
+          });
+          status.revisions_checked += revs[row.id].length;
+        });
+        return target.revsDiff(revs).then(function(diff) {
+          var missing = [];
+          $.each(diff, function(id, revs) {
+            $.each(revs.missing || [], function(i, rev) {
+              missing.push({id: id, rev: rev});
+            });
+          });
+          status.missing_revisions_found += missing.length;
+          if (!missing.length) return {results: []};
+          return source.bulkGet(missing,
+                                {revs: true, attachments: true, latest: true});
+        }).then(function(resp) {
+          var docs = [];
+          $.each(resp.results, function(i, result) {
+            $.each(result.docs, function(i, found) {
+              if (found.ok) docs.push(found.ok);
+            });
+          });
+          status.docs_read += docs.length;
+          if (!docs.length) return;
+          return target.bulkSave({docs: docs, new_edits: false})
+            .then(function(errors) {
+              errors = $.grep(errors || [], function(row) {
+                return row.error;
+              });
+              status.docs_written += docs.length - errors.length;
+              status.doc_write_failures += errors.length;
+            });
+        });
+      }
+      // remember in both databases how far the replication got, or just in
+      // the target when the source is read-only
+      function saveCheckpoint() {
+        var entry = {
+          session_id: session, start_time: startTime,
+          end_time: new Date().toUTCString(),
+          start_last_seq: startSeq, end_last_seq: since, recorded_seq: since,
+          docs_read: status.docs_read, docs_written: status.docs_written,
+          doc_write_failures: status.doc_write_failures,
+          missing_checked: status.revisions_checked,
+          missing_found: status.missing_revisions_found
+        };
+        $.each(checkpoints, function(i, doc) {
+          doc.session_id = session;
+          doc.source_last_seq = since;
+          doc.history = [entry].concat($.grep(doc.history || [],
+            function(old) {
+              return old.session_id != session;
+            })).slice(0, 50);
+        });
+        var saved = !sourceWritable ? resolved()
+          : source.saveDoc(checkpoints[0]).then(null, function(err) {
+            if (!isAuthError(err)) throw err;
+            sourceWritable = false;
+          });
+        return saved.then(function() {
+          if (!sourceWritable) checkpoints[1].source_read_only = true;
+          return target.saveDoc(checkpoints[1]);
+        });
+      }
+      function nextBatch(wait) {
+        if (!active) return;
+        readChanges(wait).then(function(resp) {
+          var results = resp.results || [];
+          if (!active) return;
+          failures = 0;
+          timeout = 100;
+          return copyRevisions(results).then(function() {
+            var caughtUp = results.length < options.batch_size;
+            if (!results.length && since == resp.last_seq) return caughtUp;
+            since = resp.last_seq;
+            status.last_seq = since;
+            if (resp.pending !== undefined) {
+              status.changes_pending = resp.pending;
+            }
+            return saveCheckpoint().then(function() {
+              callEach(replication, changeListeners, status);
+              return caughtUp;
+            });
+          }).then(function(caughtUp) {
+            if (!active) return;
+            if (caughtUp && !options.continuous) return finish("completed");
+            nextBatch(caughtUp);
+          });
+        }).then(null, fail);
+      }
+      start();
+      return replication;
+    },
+
+    /**
+     * Get a new UUID without blocking. UUIDs are fetched from the server in
+     * batches of <code>uuidBatchSize</code> and another batch is prefetched
+     * whenever fewer than <code>uuidLowWater</code> remain. If the server
+     * cannot be reached a random UUID is generated on the client instead.
+     * @see <a href="http://techzone.couchbase.com/sites/default/files/
+     * uploads/all/documentation/couchbase-api-misc.html#couchbase-api-
+     * misc_uuids_get">docs for /_uuids</a>
+     * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+     * Zepto.js ajax settings</a>
+     */
+    uuid: function(options) {
+      options = options || {};
+      var server = this;
+      var ready = this.uuidCache.length ? resolved() : this.prefetchUUIDs();
+      return ready.then(null, function() {}).then(function() {
+        var uuid = server.uuidCache.shift() || generateUUID();
+        if (server.uuidCache.length < server.uuidLowWater) {
+          server.prefetchUUIDs().then(null, function() {});
+        }
+        if (options.success) options.success(uuid);
+        return uuid;
+      });
+    },
+
+    /**
+     * Fetch a batch of UUIDs from the server into the cache used by uuid()
+     * and newUUID(). Only one batch is requested at a time, calling this
+     * while a request is outstanding returns that request.
+     * @param {Int} [count] Number of UUIDs to fetch, defaults to
+     * <code>uuidBatchSize</code>
+     */
+    prefetchUUIDs: function(count) {
+      var server = this;
+      if (!this.uuidRequest) {
+        this.uuidRequest = this.request({
+            url: this.urlPrefix + "/_uuids",
+            data: {count: count || this.uuidBatchSize}
+          },
+          {},
+          "Failed to retrieve UUID batch."
+        ).then(function(resp) {
+          server.uuidRequest = null;
+          server.uuidCache = server.uuidCache.concat(resp.uuids);
+          return server.uuidCache.length;
+        }, function(err) {
+          server.uuidRequest = null;
+          throw err;
+        });
+      }
+      return this.uuidRequest;
+    },
+
+    /**
+     * Return a new UUID immediately, taken from the cache filled by
+     * prefetchUUIDs() or generated on the client when the cache is empty.
+     * @deprecated Use uuid(), which waits for the server's UUIDs when none
+     * are cached.
+     * @param {Int} cacheNum Number of uuids to fetch when refilling the cache
+     */
+    newUUID: function(cacheNum) {
+      var uuid = this.uuidCache.shift() || generateUUID();
+      if (this.uuidCache.length < this.uuidLowWater) {
+        this.prefetchUUIDs(cacheNum).then(null, function() {});
+      }
+      return uuid;
+    },
+
+    /**
+     * Make a request to this server with its <code>ajaxDefaults</code>
+     * applied, as every other method does. Useful for endpoints this plugin
+     * doesn't wrap.
+     * @param {ajaxSettings} req The request's <code>url</code>,
+     * <code>type</code>, <code>data</code> and so on
+     * @param {ajaxSettings} options <a href="http://zeptojs.com/#ajax">
+     * Zepto.js ajax settings</a>, including the <code>successStatus</code>
+     * expected, 200 by default
+     * @param {String} [errorMessage] Error name used when CouchDB doesn't
+     * report one
+     * @param {ajaxSettings} [ajaxOptions] <a href="http://zeptojs.com/#ajax">
+     * Zepto.js ajax settings</a>
+     */
+    request: function(req, options, errorMessage, ajaxOptions) {
+      var defaults = this.ajaxDefaults || {};
+      ajaxOptions = ajaxOptions || {};
+      return ajax(req, options, errorMessage,
+        $.extend({}, defaults, ajaxOptions, {
+          headers: $.extend({}, defaults.headers, ajaxOptions.headers)
+        })
+      );
+    }
+  };
+
+  $.extend($.couch, serverAPI, {
+    ajaxDefaults: {},
+    uuidCache: [],
+    uuidRequest: null,
+
+    /**
+     * Create a server object with the same API as $.couch, but bound to its
+     * own URL prefix and default ajax settings, for talking to several
+     * CouchDB (or TouchDB) servers at once. $.couch itself is the default
+     * server.
+     * <pre><code>var remote = $.couch.server("http://example.com:5984", {
+     *  auth: {name: "bob", password: "secret"}
+     *});
+     *remote.db("mydatabase").openDoc("mydocid").then(...);
+     * </code></pre>
+     * @param {String} urlPrefix URL of the server
+     * @param {ajaxSettings} [defaults] <a href="http://zeptojs.com/#ajax">
+     * Zepto.js ajax settings</a> applied to every request to the server,
+     * plus an optional <code>auth</code> object with <code>name</code> and
+     * <code>password</code> to use HTTP basic authentication
+     */
+    server: function(urlPrefix, defaults) {
+      defaults = $.extend({}, defaults);
+      defaults.headers = $.extend({}, defaults.headers);
+      if (defaults.auth) {
+        defaults.headers.Authorization = "Basic " +
+          base64Encode(defaults.auth.name + ":" + defaults.auth.password);
+        delete defaults.auth;
+      }
+      return $.extend({}, serverAPI, {
+        urlPrefix: (urlPrefix || "").replace(/\/$/, ""),
+        ajaxDefaults: defaults,
+        uuidCache: [],
+        uuidRequest: null
+      });
+    },
+
+    encodeDocId: encodeDocId,
+
+    CouchError: CouchError,
+    ConflictError: ConflictError,
+    NotFoundError: NotFoundError,
+    UnauthorizedError: UnauthorizedError,
+    ForbiddenError: ForbiddenError,
+    NetworkError: NetworkError,
+
+    /**
+     * Where changes listeners keep their checkpoints, see
+     * $.couch.db.changes. A store has <code>get(db, name)</code>,
+     * <code>set(db, name, seq)</code> and <code>remove(db, name)</code>
+     * methods, which may return promises. "local" keeps them in _local
+     * documents in the database itself, "localStorage" in the browser's
+     * localStorage. Add your own to use them by name.
+     */
+    checkpointStores: {
+      local: {
+        get: function(db, name) {
+          return db.openDoc(checkpointId(name)).then(function(doc) {
+            return doc.last_seq;
+          }, ignoreNotFound);
+        },
+        set: function(db, name, seq) {
+          var id = checkpointId(name);
+          return db.openDoc(id).then(null, function(err) {
+            if (err instanceof NotFoundError) return {_id: id};
+            throw err;
+          }).then(function(doc) {
+            doc.last_seq = seq;
+            return db.saveDoc(doc);
+          });
+        },
+        remove: function(db, name) {
+          return db.openDoc(checkpointId(name)).then(function(doc) {
+            return db.removeDoc(doc);
+          }, ignoreNotFound);
+        }
+      },
+      localStorage: {
+        get: function(db, name) {
+          var seq = window.localStorage.getItem(checkpointId(name, db));
+          return seq === null ? undefined : JSON.parse(seq);
+        },
+        set: function(db, name, seq) {
+          window.localStorage.setItem(checkpointId(name, db), toJSON(seq));
+        },
+        remove: function(db, name) {
+          window.localStorage.removeItem(checkpointId(name, db));
+        }
+      }
+    }
+  });
+
+  /**
+   * @private
+   */
+  // Id of the _local document a changes listener's checkpoint is saved in,
+  // or, given the database, its localStorage key.
+  function checkpointId(name, db) {
+    return (db ? db.uri : "_local/") + "zepto.couch.changes." + name;
+  }
+
+  /**
+   * @private
+   */
+  function checkpointStore(store) {
+    if (store && typeof store === "object") return store;
+    return $.couch.checkpointStores[store || "local"];
+  }
+
+  /**
+   * @private
+   */
+  function ignoreNotFound(err) {
+    if (!(err instanceof NotFoundError)) throw err;
+  }
+
+  /**
+   * @private
+   */
+  function ajax(obj, options, errorMessage, ajaxOptions) {
+    var timeStart, dfd = deferred(options);
+    function fail(err) {
+      if (options.error) {
+        options.error(err.status, err.error, err.reason, err.duration, err);
+      }
+      dfd.reject(err);
+    }
+    var defaultAjaxOpts = {
+      contentType: "application/json",
+      headers:{"Accept": "application/json"}
+    };
+
+    options = $.extend({successStatus: 200}, options);
+    ajaxOptions = $.extend(defaultAjaxOpts, ajaxOptions, {
+      headers: $.extend({}, defaultAjaxOpts.headers,
+                        ajaxOptions && ajaxOptions.headers)
+    });
+    errorMessage = errorMessage || "Unknown error";
+    timeStart = (new Date()).getTime();
+    $.ajax($.extend($.extend({
+      type: "GET", dataType: "json",
+      complete: function(req) {
+        var reqDuration = (new Date()).getTime() - timeStart;
+        var request = {
+          method: obj.type || "GET", url: obj.url, duration: reqDuration,
+          response: req.responseText, xhr: req
+        };
+        var err, type = req.getResponseHeader("Content-Type") || "";
+        try {
+          var resp = options.textResponse && !/json/.test(type) ?
+            req.responseText : JSON.parse(req.responseText);
+        } catch(e) {
+          if (req.status) {
+            err = couchError(req.status, errorMessage, String(e), request);
+          } else {
+            err = couchError(0, "network_error",
+                             "The server could not be reached", request);
+          }
+          fail(err);
+          return;
+        }
+        request.response = resp;
+        if (options.ajaxStart) {
+          options.ajaxStart(resp);
+        }
+        if ($.inArray(req.status, [].concat(options.successStatus)) >= 0) {
+          if (options.beforeSuccess) options.beforeSuccess(req, resp, reqDuration);
+          if (options.success) options.success(resp, reqDuration);
+          dfd.resolve(resp);
+        } else {
+          fail(couchError(req.status, resp && resp.error || errorMessage,
+                          resp && resp.reason || "no response", request));
+        }
+      }
+    }, obj), ajaxOptions));
+    return dfd.promise;
+  }
+
+  /**
+   * @private
+   */
+  // Reports err to the caller's error callback, and returns a promise
+  // rejected with it.
+  function rejected(options, err) {
+    var dfd = deferred(options);
+    if (options.error) {
+      options.error(err.status, err.error, err.reason, err.duration, err);
+    }
+    dfd.reject(err);
+    return dfd.promise;
+  }
+
+  /**
+   * @private
+   */
+  // A promise of the values of all the promises, in order, which is rejected
+  // as soon as one of them is.
+  function all(promises) {
+    return new Promise(function(resolve, reject) {
+      var values = [], remaining = promises.length;
+      if (!remaining) resolve(values);
+      $.each(promises, function(i, promise) {
+        promise.then(function(value) {
+          values[i] = value;
+          if (--remaining === 0) resolve(values);
+        }, reject);
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  // Calls each of the listener functions funs on context with the rest of
+  // the arguments.
+  function callEach(context, funs) {
+    var args = Array.prototype.slice.call(arguments, 2);
+    $.each(funs, function() {
+      this.apply(context, args);
+    });
+  }
+
+  /**
+   * @private
+   */
+  // A promise already resolved with value.
+  function resolved(value) {
+    return new Promise(function(resolve) {
+      resolve(value);
+    });
+  }
+
+  /**
+   * @private
+   */
+  // Generates a random (version 4) UUID in the same 32 hex digit format
+  // CouchDB's /_uuids uses, for when the server can't be asked for one.
+  function generateUUID() {
+    var bytes = [], crypto = window.crypto || window.msCrypto, i, uuid = "";
+    if (crypto && crypto.getRandomValues) {
+      bytes = crypto.getRandomValues(new Uint8Array(16));
+    } else {
+      for (i = 0; i < 16; i++) bytes.push(Math.floor(Math.random() * 256));
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    for (i = 0; i < 16; i++) uuid += (bytes[i] + 0x100).toString(16).slice(1);
+    return uuid;
+  }
+
+  /**
+   * @private
+   */
+  // A promise together with the functions that settle it. When the caller
+  // supplied an error callback the failure has been reported, so the promise
+  // is marked as handled to keep it from showing up as an unhandled
+  // rejection.
+  function deferred(options) {
+    var dfd = {};
+    dfd.promise = new Promise(function(resolve, reject) {
+      dfd.resolve = resolve;
+      dfd.reject = reject;
+    });
+    if (options && options.error) {
+      dfd.promise.then(null, function() {});
+    }
+    return dfd;
+  }
+
+  /**
+   * @private
+   */
+  // Reports how promise settles to the caller's success or error callback,
+  // and returns a promise settling the same way.
+  function settle(promise, options) {
+    var dfd = deferred(options);
+    promise.then(function(value) {
+      if (options.success) options.success(value);
+      dfd.resolve(value);
+    }, function(err) {
+      if (options.error) {
+        options.error(err.status, err.error, err.reason, err.duration, err);
+      }
+      dfd.reject(err);
+    });
+    return dfd.promise;
+  }
+
+  /**
+   * @private
+   */
+  // Minimal Promises/A+ implementation for browsers without a native Promise.
+  function SimplePromise(executor) {
+    var state = 0, value, handlers = [];
+    function flush() {
+      var pending = handlers;
+      handlers = [];
+      for (var i = 0; i < pending.length; i++) pending[i]();
+    }
+    function settle(newState, result) {
+      if (state) return;
+      state = newState;
+      value = result;
+      setTimeout(flush, 0);
+    }
+    function resolve(result) {
+      var then, called = false;
+      if (state) return;
+      if (result !== null &&
+          (typeof result === "object" || typeof result === "function")) {
+        try {
+          then = result.then;
+        } catch(e) {
+          return settle(2, e);
+        }
+        if (typeof then === "function") {
+          try {
+            then.call(result, function(y) {
+              if (!called) { called = true; resolve(y); }
+            }, function(r) {
+              if (!called) { called = true; settle(2, r); }
+            });
+          } catch(e) {
+            if (!called) { called = true; settle(2, e); }
+          }
+          return;
+        }
+      }
+      settle(1, result);
+    }
+    this.then = function(onFulfilled, onRejected) {
+      return new SimplePromise(function(res, rej) {
+        handlers.push(function() {
+          var callback = state == 1 ? onFulfilled : onRejected;
+          if (typeof callback !== "function") {
+            return (state == 1 ? res : rej)(value);
+          }
+          try {
+            res(callback(value));
+          } catch(e) {
+            rej(e);
+          }
+        });
+        if (state) setTimeout(flush, 0);
+      });
+    };
+    try {
+      executor(resolve, function(r) { settle(2, r); });
+    } catch(e) {
+      settle(2, e);
+    }
+  }
+  SimplePromise.prototype["catch"] = function(onRejected) {
+    return this.then(null, onRejected);
+  };
+
+  var Promise = window.Promise || SimplePromise;
+
+  /**
+   * @private
+   */
+  // GET url without $.ajax, so that the response can be read as binary data.
+  // Resolves with the finished XMLHttpRequest.
+  function binaryGet(server, url, errorMessage, responseType, accept) {
+    var timeStart = (new Date()).getTime();
+    return new Promise(function(resolve, reject) {
+      var xhr = new XMLHttpRequest(),
+        headers = requestHeaders(server, {"Accept": accept});
+      xhr.onreadystatechange = function() {
+        // error responses are left as text so the JSON can be read
+        if (xhr.readyState == 2 && xhr.status == 200 &&
+            responseType != "text") {
+          xhr.responseType = responseType;
+        }
+        if (xhr.readyState != 4) return;
+        if (xhr.status == 200) return resolve(xhr);
+        var request = {
+          method: "GET", url: url, xhr: xhr,
+          duration: (new Date()).getTime() - timeStart
+        }, resp = {}, err;
+        try {
+          request.response = resp = JSON.parse(xhr.responseText);
+        } catch(e) {}
+        if (xhr.status) {
+          err = couchError(xhr.status, resp.error || errorMessage,
+                           resp.reason || "no response", request);
+        } else {
+          err = couchError(0, "network_error",
+                           "The server could not be reached", request);
+        }
+        reject(err);
+      };
+      xhr.open("GET", url, true);
+      for (var header in headers) {
+        xhr.setRequestHeader(header, headers[header]);
+      }
+      xhr.send(null);
+    });
+  }
+
+  /**
+   * @private
+   */
+  // Numbers of the revisions archived in doc by attachPrevRev, newest first.
+  function prevRevNumbers(doc) {
+    var revs = [], match;
+    for (var name in doc._attachments || {}) {
+      match = /^rev-(\d+)$/.exec(name);
+      if (match) revs.push(parseInt(match[1], 10));
+    }
+    return revs.sort(function(a, b) {
+      return b - a;
+    });
+  }
+
+  /**
+   * @private
+   */
+  // Two 32 bit FNV-1a hashes of str, with different offsets, as 16 hex
+  // digits.
+  function hashString(str) {
+    var hash = "", seeds = [0x811c9dc5, 0x050c5d1f], h, i, j;
+    for (j = 0; j < seeds.length; j++) {
+      h = seeds[j];
+      for (i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+      }
+      hash += ((h >>> 0) + 0x100000000).toString(16).slice(1);
+    }
+    return hash;
+  }
+
+  /**
+   * @private
+   */
+  function functionSource(fun) {
+    return fun.toSource ? fun.toSource() : "(" + fun.toString() + ")";
+  }
+
+  /**
+   * @private
+   */
+  // Why a view query's options can't be used together, if they can't.
+  function viewQueryProblem(params) {
+    var range = params.startkey !== undefined || params.endkey !== undefined,
+      grouped = params.group || params.group_level !== undefined, i, name;
+    if (params.key !== undefined && (params.keys || range)) {
+      return "key can't be combined with keys or a key range";
+    }
+    if (params.keys && (!$.isArray(params.keys) || range)) {
+      return "keys must be an array, and can't be combined with a key range";
+    }
+    if (grouped && params.reduce === false) {
+      return "group and group_level can't be used without reduce";
+    }
+    if (params.include_docs && (grouped || params.reduce === true)) {
+      return "include_docs is invalid for reduce";
+    }
+    for (i = 0; i < 3; i++) {
+      name = ["limit", "skip", "group_level"][i];
+      if (params[name] !== undefined &&
+          !(params[name] >= 0 && params[name] % 1 === 0)) {
+        return name + " must be a whole number, 0 or more";
+      }
+    }
+    if (params.stale !== undefined &&
+        $.inArray(params.stale, ["ok", "update_after"]) < 0) {
+      return 'stale must be "ok" or "update_after"';
+    }
+  }
+
+  /**
+   * @private
+   */
+  // Applies an RFC 7396 merge patch to target, which it modifies.
+  function mergePatch(target, patch) {
+    if (patch === null || typeof patch != "object" || $.isArray(patch)) {
+      return patch;
+    }
+    if (target === null || typeof target != "object" || $.isArray(target)) {
+      target = {};
+    }
+    for (var name in patch) {
+      if (patch[name] === null) {
+        delete target[name];
+      } else {
+        target[name] = mergePatch(target[name], patch[name]);
+      }
+    }
+    return target;
+  }
+
+  /**
+   * @private
+   */
+  // Applies RFC 6902 JSON Patch operations to a copy of doc. An operation
+  // that can't be applied fails the whole patch with a CouchError, a failed
+  // "test" with status 412 and anything else with status 400.
+  function jsonPatch(doc, ops) {
+    function fail(reason) {
+      throw couchError(400, "bad_request", reason);
+    }
+    function copy(value) {
+      return value === undefined ? value : JSON.parse(toJSON(value));
+    }
+    function parse(pointer) {
+      if (pointer === "") return [];
+      if (typeof pointer != "string" || pointer.charAt(0) != "/") {
+        fail("Invalid JSON pointer: " + pointer);
+      }
+      var path = pointer.slice(1).split("/");
+      for (var i = 0; i < path.length; i++) {
+        path[i] = path[i].replace(/~1/g, "/").replace(/~0/g, "~");
+      }
+      return path;
+    }
+    function index(array, token, adding) {
+      var i = token == "-" && adding ? array.length : Number(token);
+      if (!/^(0|[1-9][0-9]*|-)$/.test(token) || isNaN(i) ||
+          i > array.length - (adding ? 0 : 1)) {
+        fail("Invalid array index: " + token);
+      }
+      return i;
+    }
+    function get(path) {
+      var value = doc;
+      for (var i = 0; i < path.length; i++) {
+        if ($.isArray(value)) {
+          value = value[index(value, path[i])];
+        } else if (value !== null && typeof value == "object" &&
+                   Object.prototype.hasOwnProperty.call(value, path[i])) {
+          value = value[path[i]];
+        } else {
+          fail("Path not found: /" + path.slice(0, i + 1).join("/"));
+        }
+      }
+      return value;
+    }
+    function add(path, value) {
+      if (!path.length) {
+        doc = value;
+        return;
+      }
+      var parent = get(path.slice(0, -1)), key = path[path.length - 1];
+      if ($.isArray(parent)) {
+        parent.splice(index(parent, key, true), 0, value);
+      } else if (parent !== null && typeof parent == "object") {
+        parent[key] = value;
+      } else {
+        fail("Path not found: /" + path.join("/"));
+      }
+    }
+    function remove(path) {
+      var value = get(path), parent = get(path.slice(0, -1)),
+        key = path[path.length - 1];
+      if (!path.length) {
+        doc = undefined;
+      } else if ($.isArray(parent)) {
+        parent.splice(index(parent, key), 1);
+      } else {
+        delete parent[key];
+      }
+      return value;
+    }
+    function equal(a, b) {
+      if (a === b) return true;
+      if (a === null || b === null || typeof a != "object" ||
+          typeof b != "object" || $.isArray(a) != $.isArray(b)) {
+        return false;
+      }
+      var name, count = 0;
+      for (name in a) {
+        if (!Object.prototype.hasOwnProperty.call(b, name) ||
+            !equal(a[name], b[name])) {
+          return false;
+        }
+        count++;
+      }
+      for (name in b) count--;
+      return count === 0;
+    }
+    doc = copy(doc);
+    for (var i = 0; i < ops.length; i++) {
+      var op = ops[i], path = parse(op.path);
+      switch (op.op) {
+      case "add":
+        add(path, copy(op.value));
+        break;
+      case "remove":
+        remove(path);
+        break;
+      case "replace":
+        remove(path);
+        add(path, copy(op.value));
+        break;
+      case "move":
+        add(path, remove(parse(op.from)));
+        break;
+      case "copy":
+        add(path, copy(get(parse(op.from))));
+        break;
+      case "test":
+        if (!equal(get(path), op.value)) {
+          throw couchError(412, "precondition_failed",
+                           "Test failed: " + op.path);
+        }
+        break;
+      default:
+        fail("Unknown patch operation: " + op.op);
+      }
+    }
+    return doc;
+  }
+
+  /**
+   * @private
+   */
+  // Makes doc hold exactly the fields of source, keeping the same object.
+  function replaceContents(doc, source) {
+    for (var name in doc) delete doc[name];
+    return $.extend(doc, source);
+  }
+
+  /**
+   * @private
+   */
+  function isBinary(data) {
+    return (typeof Blob != "undefined" && data instanceof Blob) ||
+      (typeof ArrayBuffer != "undefined" &&
+       (data instanceof ArrayBuffer || data.buffer instanceof ArrayBuffer));
+  }
+
+  /**
+   * @private
+   */
+  // Builds a multipart/related body holding doc and its binary attachments,
+  // or returns null when none of its attachments are binary.
+  function multipartBody(doc) {
+    var atts = doc._attachments || {}, json = $.extend({}, doc),
+      boundary = "zepto.couch." + generateUUID(), names = [], stubs = {},
+      parts, name, att, length, blob = false, body, offset, i;
+    json._attachments = $.extend({}, atts);
+    for (name in atts) {
+      att = atts[name];
+      if (!att || !att.data || !isBinary(att.data)) continue;
+      length = att.data.size !== undefined ? att.data.size
+        : att.data.byteLength;
+      blob = blob || att.data.size !== undefined;
+      names.push(name);
+      stubs[name] = {
+        content_type: att.content_type || att.data.type ||
+          "application/octet-stream",
+        length: length, stub: true
+      };
+      json._attachments[name] = $.extend({}, stubs[name], {follows: true});
+      delete json._attachments[name].stub;
+    }
+    if (!names.length) return null;
+    parts = ["--" + boundary + "\r\nContent-Type: application/json\r\n\r\n" +
+             toJSON(json)];
+    for (i = 0; i < names.length; i++) {
+      parts.push("\r\n--" + boundary + "\r\n" +
+                 'Content-Disposition: attachment; filename="' +
+                 names[i].replace(/(["\\])/g, "\\$1") + '"\r\n' +
+                 "Content-Type: " + stubs[names[i]].content_type + "\r\n\r\n",
+                 atts[names[i]].data);
+    }
+    parts.push("\r\n--" + boundary + "--");
+    if (blob) {
+      body = new Blob(parts);
+    } else {
+      for (i = 0, length = 0; i < parts.length; i++) {
+        parts[i] = typeof parts[i] == "string" ? utf8Encode(parts[i])
+          : new Uint8Array(parts[i].buffer || parts[i],
+                           parts[i].byteOffset || 0, parts[i].byteLength);
+        length += parts[i].length;
+      }
+      body = new Uint8Array(length);
+      for (i = 0, offset = 0; i < parts.length; i++) {
+        body.set(parts[i], offset);
+        offset += parts[i].length;
+      }
+    }
+    return {
+      body: body, stubs: stubs,
+      contentType: 'multipart/related; boundary="' + boundary + '"'
+    };
+  }
+
+  /**
+   * @private
+   */
+  // Reads a document response that may be multipart/related (a doc and its
+  // attachments), multipart/mixed (several revisions, as for open_revs) or
+  // plain JSON. Returns the parsed value, along with the single doc and its
+  // JSON text when there is one.
+  function readMultipart(bytes, contentType) {
+    var boundary = /boundary="?([^";]+)"?/i.exec(contentType || ""),
+      type = (contentType || "").split(";")[0].toLowerCase(),
+      parts, value = [], related, i;
+    if (!boundary) {
+      // the server sent JSON, with the attachments Base64 encoded inline
+      related = {raw: utf8Decode(bytes)};
+      related.value = JSON.parse(related.raw);
+      if (!$.isArray(related.value)) {
+        related.doc = related.value;
+        $.each(related.doc._attachments || {}, function(name, att) {
+          if (typeof att.data != "string") return;
+          att.data = binaryData(base64Decode(att.data), att.content_type);
+        });
+      }
+      return related;
+    }
+    parts = parseMultipart(bytes, boundary[1]);
+    if (type == "multipart/related") return readRelated(parts);
+    for (i = 0; i < parts.length; i++) {
+      related = readMultipart(parts[i].body, parts[i].headers["content-type"]);
+      value.push(related.value.missing ? related.value : {ok: related.value});
+    }
+    return {value: value};
+  }
+
+  /**
+   * @private
+   */
+  // The first part of a multipart/related document is its JSON, followed by
+  // the attachments it marks as following, named by their
+  // Content-Disposition or else in order.
+  function readRelated(parts) {
+    var raw = utf8Decode(parts[0].body), doc = JSON.parse(raw),
+      atts = doc._attachments || {}, following = [], name, att, filename, i;
+    for (name in atts) {
+      if (atts[name].follows) following.push(name);
+    }
+    for (i = 1; i < parts.length; i++) {
+      filename = /filename="((?:[^"\\]|\\.)*)"/.exec(
+        parts[i].headers["content-disposition"] || "");
+      name = filename ? filename[1].replace(/\\(.)/g, "$1")
+        : following[i - 1];
+      att = atts[name];
+      if (!att) continue;
+      att.data = binaryData(parts[i].body, att.content_type);
+      delete att.follows;
+    }
+    return {value: doc, doc: doc, raw: raw};
+  }
+
+  /**
+   * @private
+   */
+  // A Blob of the bytes, or an ArrayBuffer where there is no Blob.
+  function binaryData(bytes, type) {
+    if (typeof Blob != "undefined") return new Blob([bytes], {type: type});
+    return bytes.buffer.slice(bytes.byteOffset,
+                              bytes.byteOffset + bytes.length);
+  }
+
+  /**
+   * @private
+   */
+  // Splits a multipart body into its parts, each with lower case header
+  // names and the body bytes.
+  function parseMultipart(bytes, boundary) {
+    var delimiter = utf8Encode("\r\n--" + boundary),
+      blank = [13, 10, 13, 10], parts = [], pos, next, part, end, lines,
+      colon, i;
+    // the first delimiter need not follow a line break
+    pos = indexOfBytes(bytes, delimiter.subarray(2), 0);
+    if (pos >= 0) pos += delimiter.length - 2;
+    while (pos >= 0) {
+      if (bytes[pos] == 45 && bytes[pos + 1] == 45) break;
+      next = indexOfBytes(bytes, delimiter, pos);
+      if (next < 0) break;
+      part = bytes.subarray(pos, next);
+      end = indexOfBytes(part, blank, 0);
+      lines = utf8Decode(part.subarray(0, end)).split("\r\n");
+      parts.push({headers: {}, body: part.subarray(end + 4)});
+      for (i = 0; i < lines.length; i++) {
+        colon = lines[i].indexOf(":");
+        if (colon > 0) {
+          parts[parts.length - 1].headers[
+            $.trim(lines[i].slice(0, colon)).toLowerCase()
+          ] = $.trim(lines[i].slice(colon + 1));
+        }
+      }
+      pos = next + delimiter.length;
+    }
+    return parts;
+  }
+
+  /**
+   * @private
+   */
+  function indexOfBytes(bytes, search, from) {
+    outer: for (var i = from; i <= bytes.length - search.length; i++) {
+      for (var j = 0; j < search.length; j++) {
+        if (bytes[i + j] != search[j]) continue outer;
+      }
+      return i;
+    }
+    return -1;
+  }
+
+  var base64Chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+  /**
+   * @private
+   */
+  // Base64 of a Uint8Array, or of a string's UTF-8 bytes (unlike btoa, which
+  // only accepts Latin-1).
+  function base64Encode(data) {
+    var bytes = typeof data == "string" ? utf8Encode(data) : data,
+      out = "", n, i;
+    for (i = 0; i < bytes.length; i += 3) {
+      n = bytes[i] << 16 | (bytes[i + 1] || 0) << 8 | (bytes[i + 2] || 0);
+      out += base64Chars.charAt(n >> 18 & 63) +
+        base64Chars.charAt(n >> 12 & 63) +
+        (i + 1 < bytes.length ? base64Chars.charAt(n >> 6 & 63) : "=") +
+        (i + 2 < bytes.length ? base64Chars.charAt(n & 63) : "=");
+    }
+    return out;
+  }
+
+  /**
+   * @private
+   */
+  function base64Decode(str) {
+    str = str.replace(/[^A-Za-z0-9+\/]/g, "");
+    var bytes = new Uint8Array(Math.floor(str.length * 3 / 4)), n, i, j = 0;
+    for (i = 0; i < str.length; i += 4) {
+      n = base64Chars.indexOf(str.charAt(i)) << 18 |
+        base64Chars.indexOf(str.charAt(i + 1)) << 12 |
+        (base64Chars.indexOf(str.charAt(i + 2)) & 63) << 6 |
+        (base64Chars.indexOf(str.charAt(i + 3)) & 63);
+      bytes[j++] = n >> 16 & 255;
+      if (j < bytes.length) bytes[j++] = n >> 8 & 255;
+      if (j < bytes.length) bytes[j++] = n & 255;
+    }
+    return bytes;
+  }
+
+  /**
+   * @private
+   */
+  function utf8Encode(str) {
+    if (typeof TextEncoder != "undefined") {
+      return new TextEncoder().encode(str);
+    }
+    str = unescape(encodeURIComponent(str));
+    var bytes = new Uint8Array(str.length);
+    for (var i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i);
+    return bytes;
+  }
+
+  /**
+   * @private
+   */
+  function utf8Decode(bytes) {
+    if (typeof TextDecoder != "undefined") {
+      return new TextDecoder().decode(bytes);
+    }
+    var str = "";
+    for (var i = 0; i < bytes.length; i += 4096) {
+      str += String.fromCharCode.apply(null, bytes.subarray(i, i + 4096));
+    }
+    return decodeURIComponent(escape(str));
+  }
+
+  /**
+   * @private
+   */
+  // Attachment names may contain slashes, which CouchDB takes literally.
+  function encodeAttachmentName(name) {
+    return $.map(name.split("/"), function(part) {
+      return encodeURIComponent(part);
+    }).join("/");
+  }
+
+  /**
+   * @private
+   */
+  // Headers for requests made without $.ajax, with the server's defaults.
+  function requestHeaders(server, headers) {
+    var defaults = server.ajaxDefaults || {};
+    return $.extend({"Accept": "application/json"}, defaults.headers,
+                    headers);
   }
 
   /**
@@ -905,7 +3901,8 @@
                       ["error", "success", "beforeSuccess", "ajaxStart"]) >= 0)
           continue;
         var value = options[name];
-        if ($.inArray(name, ["key", "startkey", "endkey"]) >= 0) {
+        if ($.inArray(name, ["key", "keys", "startkey", "endkey",
+                             "start_key", "end_key"]) >= 0) {
           value = toJSON(value);
         }
         buf.push(encodeURIComponent(name) + "=" + encodeURIComponent(value));